@@ -18,6 +18,12 @@ export class ContentMatch {
     this.validEnd = validEnd
     this.next = []
     this.wrapCache = []
+    // :: ContentExpr
+    // The parsed content expression that this match state was
+    // compiled from.
+    //
+    // @cn 当前匹配状态编译自的已解析的内容表达式。
+    this.expr = null
   }
 
   static parse(string, nodeTypes) {
@@ -27,17 +33,34 @@ export class ContentMatch {
     if (stream.next) stream.err("Unexpected trailing text")
     let match = dfa(nfa(expr))
     checkForDeadEnds(match, stream)
+    reachable(match).forEach(state => state.expr = expr)
     return match
   }
 
-  // :: (NodeType) → ?ContentMatch
+  // :: string
+  // A normalized textual form of the content expression. Groups are
+  // expanded to the node types they contain, and parentheses are
+  // only used where needed.
+  //
+  // @cn 内容表达式的规范化文本形式。group 会被展开为其包含的节点类型，并且只在需要的时候才使用括号。
+  get exprString() {
+    return exprToString(this.expr, 0)
+  }
+
+  // :: (NodeType, ?Object) → ?ContentMatch
   // Match a node type, returning a match after that node if
-  // successful.
+  // successful. When the content expression places constraints on
+  // the attributes of nodes of this type, they are checked against
+  // `attrs`, which defaults to the type's default attributes.
   //
-  // @cn 匹配一个节点类型，如果成功则返回该 ContentMatch 匹配结果。
-  matchType(type) {
-    for (let i = 0; i < this.next.length; i += 2)
-      if (this.next[i] == type) return this.next[i + 1]
+  // @cn 匹配一个节点类型，如果成功则返回该 ContentMatch 匹配结果。如果内容表达式对该类型节点的 attributes 有约束，
+  // 则会用 `attrs` 来检查这些约束，`attrs` 默认是该类型的默认 attributes。
+  matchType(type, attrs) {
+    for (let i = 0; i < this.next.length; i++) {
+      let edge = this.next[i]
+      if (edge.type == type && (!edge.attrs || attrsMatch(edge.attrs, attrs || type.defaultAttrs)))
+        return edge.next
+    }
     return null
   }
 
@@ -48,14 +71,45 @@ export class ContentMatch {
   // @cn 尝试去匹配一个 fragment。如果成功则返回 ContentMatch 匹配结果。
   matchFragment(frag, start = 0, end = frag.childCount) {
     let cur = this
-    for (let i = start; cur && i < end; i++)
-      cur = cur.matchType(frag.child(i).type)
+    for (let i = start; cur && i < end; i++) {
+      let child = frag.child(i)
+      cur = cur.matchType(child.type, child.attrs)
+    }
     return cur
   }
 
+  // :: (Fragment, ?number, ?number) → ContentDiagnosis
+  // Like [`matchFragment`](#model.ContentMatch.matchFragment), but
+  // describes where and why matching failed, rather than just
+  // returning null.
+  //
+  // @cn 与 [`matchFragment`](#model.ContentMatch.matchFragment) 类似，但是会描述匹配在哪里以及为什么失败，而不是仅仅返回 null。
+  diagnoseFragment(frag, start = 0, end = frag.childCount) {
+    let cur = this
+    for (let i = start; i < end; i++) {
+      let child = frag.child(i), next = cur.matchType(child.type, child.attrs)
+      if (!next) return {valid: false, match: cur, index: i, expected: cur.expectedTypes(), endedEarly: false}
+      cur = next
+    }
+    return {valid: cur.validEnd, match: cur, index: null,
+            expected: cur.validEnd ? [] : cur.expectedTypes(), endedEarly: !cur.validEnd}
+  }
+
+  // :: () → [NodeType]
+  // The node types that can appear at this point, in the order in
+  // which they occur in the automaton.
+  //
+  // @cn 在当前位置可以出现的节点类型，以它们在自动机中出现的顺序排列。
+  expectedTypes() {
+    let types = []
+    for (let i = 0; i < this.next.length; i++)
+      if (types.indexOf(this.next[i].type) == -1) types.push(this.next[i].type)
+    return types
+  }
+
   get inlineContent() {
     let first = this.next[0]
-    return first ? first.isInline : false
+    return first ? first.type.isInline : false
   }
 
   // :: ?NodeType
@@ -66,20 +120,18 @@ export class ContentMatch {
   //
   // @comment 「可以被生成的」指的是该位置不能是文本节点或者不能有必须存在的 attribute 才能被生成。
   get defaultType() {
-    for (let i = 0; i < this.next.length; i += 2) {
-      let type = this.next[i]
-      if (!(type.isText || type.hasRequiredAttrs())) return type
-    }
+    for (let i = 0; i < this.next.length; i++)
+      if (generatable(this.next[i])) return this.next[i].type
   }
 
   compatible(other) {
-    for (let i = 0; i < this.next.length; i += 2)
-      for (let j = 0; j < other.next.length; j += 2)
-        if (this.next[i] == other.next[j]) return true
+    for (let i = 0; i < this.next.length; i++)
+      for (let j = 0; j < other.next.length; j++)
+        if (this.next[i].type == other.next[j].type) return true
     return false
   }
 
-  // :: (Fragment, bool, ?number) → ?Fragment
+  // :: (Fragment, bool, ?number, ?[union<NodeType, {type: NodeType, attrs: ?Object}>]) → ?Fragment
   // Try to match the given fragment, and if that fails, see if it can
   // be made to match by inserting nodes in front of it. When
   // successful, return a fragment of inserted nodes (which may be
@@ -87,23 +139,32 @@ export class ContentMatch {
   // return a fragment if the resulting match goes to the end of the
   // content expression.
   //
+  // `prefer` can be used to list node types, optionally with
+  // attributes, that should be tried before the ones that would be
+  // picked by default. Giving attributes makes it possible to
+  // generate types with required attributes.
+  //
   // @cn 尝试匹配给定的 fragment，如果失败，则会查看是否可以通过在该 fragment 前面插入一些节点来使之匹配。
   // 如果插入节点后匹配成功，则会返回一个插入的节点组成的 fragment（如果没有需要插入的节点，则可能是空的）。
   // 当 `toEnd` 为 true 时，只有结果匹配到达了内容表达式的结尾之时，才会返回一个 fragment。
   //
+  // @cn `prefer` 可以用来列出一些节点类型（可以带有 attributes），它们会在默认选择的类型之前被尝试。
+  // 给定 attributes 使得生成含有必须的 attributes 的节点类型成为可能。
+  //
   // @comment 否则返回 undefined。
-  fillBefore(after, toEnd = false, startIndex = 0) {
+  fillBefore(after, toEnd = false, startIndex = 0, prefer) {
     let seen = [this]
-    function search(match, types) {
+    function search(match, edges) {
       let finished = match.matchFragment(after, startIndex)
       if (finished && (!toEnd || finished.validEnd))
-        return Fragment.from(types.map(tp => tp.createAndFill()))
+        return Fragment.from(edges.map(edge => edge.type.createAndFill(edge.attrs)))
 
-      for (let i = 0; i < match.next.length; i += 2) {
-        let type = match.next[i], next = match.next[i + 1]
-        if (!(type.isText || type.hasRequiredAttrs()) && seen.indexOf(next) == -1) {
+      let options = fillOptions(match, prefer)
+      for (let i = 0; i < options.length; i++) {
+        let edge = options[i], next = edge.next
+        if (seen.indexOf(next) == -1) {
           seen.push(next)
-          let found = search(next, types.concat(type))
+          let found = search(next, edges.concat(edge))
           if (found) return found
         }
       }
@@ -138,9 +199,10 @@ export class ContentMatch {
           result.push(obj.type)
         return result.reverse()
       }
-      for (let i = 0; i < match.next.length; i += 2) {
-        let type = match.next[i]
-        if (!type.isLeaf && !type.hasRequiredAttrs() && !(type.name in seen) && (!current.type || match.next[i + 1].validEnd)) {
+      for (let i = 0; i < match.next.length; i++) {
+        let {type, attrs, next} = match.next[i]
+        if (!type.isLeaf && !type.hasRequiredAttrs() && !(type.name in seen) && (!current.type || next.validEnd) &&
+            (!attrs || attrsMatch(attrs, type.defaultAttrs))) {
           active.push({match: type.contentMatch, type, via: current})
           seen[type.name] = true
         }
@@ -148,6 +210,49 @@ export class ContentMatch {
     }
   }
 
+  // :: (NodeType, ?{depth: ?number, attrs: ?union<Object<Object>, (NodeType) → ?Object>}) → [[{type: NodeType, attrs: ?Object}]]
+  // Find all the ways in which a node of the given type could be
+  // wrapped to appear at this position, using at most `depth`
+  // (defaults to 3) wrapper nodes. Shorter wrappings come first. The
+  // attributes for wrapper nodes can be given with `attrs`, either as
+  // an object mapping node type names to attributes, or as a function.
+  // Wrapper types with required attributes are only used when
+  // attributes for them are given. When the content expression
+  // constrains a wrapper's attributes and none are given, the
+  // constrained values are used.
+  //
+  // @cn 找到所有可以包裹给定类型节点以使其出现在当前位置的方式，最多使用 `depth`（默认为 3）个包裹节点。较短的包裹方式排在前面。
+  // 包裹节点的 attributes 可以通过 `attrs` 给定，其可以是一个节点类型名到 attributes 的映射对象，也可以是一个函数。
+  // 含有必须的 attributes 的包裹类型只有在给定了它们的 attributes 时才会被使用。如果内容表达式约束了包裹节点的 attributes，
+  // 且没有给定 attributes，则会使用约束的值。
+  findWrappings(target, options = {}) {
+    let depth = options.depth == null ? 3 : options.depth
+    let result = [], seen = [], active = [{match: this, type: null, attrs: null, via: null, depth: 0}]
+    while (active.length) {
+      let current = active.shift(), match = current.match
+      if (match.matchType(target)) {
+        let wrapping = [], key = ""
+        for (let obj = current; obj.type; obj = obj.via) {
+          wrapping.unshift({type: obj.type, attrs: obj.attrs})
+          key = obj.type.name + JSON.stringify(obj.attrs) + " " + key
+        }
+        if (seen.indexOf(key) == -1) {
+          seen.push(key)
+          result.push(wrapping)
+        }
+      }
+      if (current.depth == depth) continue
+      for (let i = 0; i < match.next.length; i++) {
+        let {type, attrs: constraint, next} = match.next[i]
+        if (type.isLeaf || (current.type && !next.validEnd) || onPath(current, type)) continue
+        let attrs = wrapperAttrs(type, constraint, options.attrs)
+        if (attrs !== false)
+          active.push({match: type.contentMatch, type, attrs, via: current, depth: current.depth + 1})
+      }
+    }
+    return result
+  }
+
   // :: number
   // The number of outgoing edges this node has in the finite
   // automaton that describes the content expression.
@@ -156,38 +261,220 @@ export class ContentMatch {
   //
   // @comment 没理解什么意思，需要看源码，我直译的，鼠标悬浮查看原始文档。
   get edgeCount() {
-    return this.next.length >> 1
+    return this.next.length
   }
 
-  // :: (number) → {type: NodeType, next: ContentMatch}
+  // :: (number) → {type: NodeType, attrs: ?Object, next: ContentMatch}
   // Get the _n_​th outgoing edge from this node in the finite
-  // automaton that describes the content expression.
+  // automaton that describes the content expression. `attrs` holds
+  // the attribute values a node must have to take this edge, if the
+  // expression constrains them.
   //
-  // @cn 在描述内容表达式的有限自动机中获取该节点第 _n_ 个外部的边界。
+  // @cn 在描述内容表达式的有限自动机中获取该节点第 _n_ 个外部的边界。如果表达式对 attributes 有约束，
+  // 则 `attrs` 保存节点在走这条边时必须具有的 attribute 值。
   edge(n) {
-    let i = n << 1
-    if (i >= this.next.length) throw new RangeError(`There's no ${n}th edge in this content match`)
-    return {type: this.next[i], next: this.next[i + 1]}
+    if (n >= this.next.length) throw new RangeError(`There's no ${n}th edge in this content match`)
+    let {type, attrs, next} = this.next[n]
+    return {type, attrs, next}
+  }
+
+  // :: () → string
+  // Describe the automaton, starting at this state, in the
+  // [Graphviz](https://graphviz.org/) DOT language. States that are
+  // valid ends are drawn with a double circle.
+  //
+  // @cn 用 [Graphviz](https://graphviz.org/) 的 DOT 语言描述从当前状态开始的自动机。可以作为合法结尾的状态会用双圆圈画出来。
+  toDOT() {
+    let seen = reachable(this), lines = ["digraph ContentMatch {", "  rankdir=LR;", "  start [shape=point];"]
+    seen.forEach((m, i) => lines.push(`  ${i} [shape=${m.validEnd ? "doublecircle" : "circle"}];`))
+    lines.push("  start -> 0;")
+    seen.forEach((m, i) => m.next.forEach(edge => {
+      lines.push(`  ${i} -> ${seen.indexOf(edge.next)} [label=${JSON.stringify(termString(edge))}];`)
+    }))
+    lines.push("}")
+    return lines.join("\n")
   }
 
   toString() {
-    let seen = []
-    function scan(m) {
-      seen.push(m)
-      for (let i = 1; i < m.next.length; i += 2)
-        if (seen.indexOf(m.next[i]) == -1) scan(m.next[i])
-    }
-    scan(this)
+    let seen = reachable(this)
     return seen.map((m, i) => {
       let out = i + (m.validEnd ? "*" : " ") + " "
-      for (let i = 0; i < m.next.length; i += 2)
-        out += (i ? ", " : "") + m.next[i].name + "->" + seen.indexOf(m.next[i + 1])
+      for (let i = 0; i < m.next.length; i++)
+        out += (i ? ", " : "") + termString(m.next[i]) + "->" + seen.indexOf(m.next[i].next)
       return out
     }).join("\n")
   }
 }
 
 ContentMatch.empty = new ContentMatch(true)
+ContentMatch.empty.expr = {type: "seq", exprs: []}
+
+// ContentDiagnosis:: interface
+// The result of [`diagnoseFragment`](#model.ContentMatch.diagnoseFragment).
+//
+// @cn [`diagnoseFragment`](#model.ContentMatch.diagnoseFragment) 的返回结果。
+//
+//   valid:: bool
+//   True when all children matched and the match ended in a valid
+//   end state.
+//
+//   @cn 如果所有的子节点都匹配了，并且匹配结束于一个合法的结尾状态，则为 true。
+//
+//   match:: ContentMatch
+//   The match state reached before the first rejected child, or after
+//   the last child when none was rejected.
+//
+//   @cn 在第一个不被接受的子节点之前到达的匹配状态，如果没有子节点被拒绝，则是最后一个子节点之后的匹配状态。
+//
+//   index:: ?number
+//   The index of the first child that didn't match, or null if all
+//   of them matched.
+//
+//   @cn 第一个没有匹配的子节点的 index，如果所有子节点都匹配了则为 null。
+//
+//   expected:: [NodeType]
+//   The node types that would have been accepted at `index`, or,
+//   when the fragment ended too early, at its end.
+//
+//   @cn 在 `index` 处可以被接受的节点类型，或者，如果 fragment 结束得太早的话，在其结尾处可以被接受的节点类型。
+//
+//   endedEarly:: bool
+//   True when all children matched, but more content is required.
+//
+//   @cn 如果所有的子节点都匹配了，但是还需要更多的内容，则为 true。
+
+// ContentExpr:: interface
+// The parsed form of a [content expression](#model.NodeSpec.content).
+// Groups and exclusions are resolved when parsing, so a name that
+// refers to several node types becomes a `"choice"` expression.
+//
+// @cn [内容表达式](#model.NodeSpec.content) 的解析后的形式。group 和排除操作会在解析的时候被处理掉，
+// 因此指向多个节点类型的名字会变成一个 `"choice"` 表达式。
+//
+//   type:: string
+//   One of `"choice"`, `"interleave"`, `"seq"`, `"plus"`, `"star"`,
+//   `"opt"`, `"range"`, or `"name"`.
+//
+//   @cn `"choice"`、`"interleave"`、`"seq"`、`"plus"`、`"star"`、`"opt"`、`"range"` 或 `"name"` 中的一个。
+//
+//   exprs:: ?[ContentExpr]
+//   The sub-expressions of `"choice"`, `"interleave"`, and `"seq"`
+//   expressions.
+//
+//   @cn `"choice"`、`"interleave"` 和 `"seq"` 表达式的子表达式。
+//
+//   expr:: ?ContentExpr
+//   The expression that a `"plus"`, `"star"`, `"opt"`, or `"range"`
+//   applies to.
+//
+//   @cn `"plus"`、`"star"`、`"opt"` 或 `"range"` 所作用的表达式。
+//
+//   min:: ?number
+//   The minimum count for `"range"` expressions.
+//
+//   @cn `"range"` 表达式的最小次数。
+//
+//   max:: ?number
+//   The maximum count for `"range"` expressions, or -1 when unbounded.
+//
+//   @cn `"range"` 表达式的最大次数，如果没有上限则为 -1。
+//
+//   value:: ?{type: NodeType, attrs: ?Object}
+//   For `"name"` expressions, the node type matched, along with the
+//   attribute constraints, if any.
+//
+//   @cn 对于 `"name"` 表达式，表示匹配的节点类型，以及 attribute 约束（如果有的话）。
+
+// Collect the states reachable from `match`, in depth-first order.
+function reachable(match) {
+  let seen = []
+  function scan(m) {
+    seen.push(m)
+    for (let i = 0; i < m.next.length; i++)
+      if (seen.indexOf(m.next[i].next) == -1) scan(m.next[i].next)
+  }
+  scan(match)
+  return seen
+}
+
+const exprPrec = {choice: 0, interleave: 1, seq: 2, plus: 3, star: 3, opt: 3, range: 3, name: 4}
+
+function exprToString(expr, prec) {
+  let str, type = expr.type
+  // Choices, interleavings, and sequences are associative, so nested
+  // instances of the same operator don't need parentheses
+  if (type == "choice") str = expr.exprs.map(e => exprToString(e, 0)).join(" | ")
+  else if (type == "interleave") str = expr.exprs.map(e => exprToString(e, 1)).join(" & ")
+  else if (type == "seq") str = expr.exprs.map(e => exprToString(e, 2)).join(" ")
+  else if (type == "plus") str = exprToString(expr.expr, 4) + "+"
+  else if (type == "star") str = exprToString(expr.expr, 4) + "*"
+  else if (type == "opt") str = exprToString(expr.expr, 4) + "?"
+  else if (type == "range")
+    str = exprToString(expr.expr, 4) + "{" + expr.min + (expr.max == expr.min ? "" : "," + (expr.max == -1 ? "" : expr.max)) + "}"
+  else str = termString(expr.value)
+  return exprPrec[type] < prec ? "(" + str + ")" : str
+}
+
+function attrsMatch(constraint, attrs) {
+  if (!attrs) return false
+  for (let name in constraint) if (attrs[name] !== constraint[name]) return false
+  return true
+}
+
+function onPath(step, type) {
+  for (; step; step = step.via) if (step.type == type) return true
+  return false
+}
+
+// Determine the attributes to use for a wrapper node, or return
+// false if the type can't be used as a wrapper.
+function wrapperAttrs(type, constraint, given) {
+  let attrs = typeof given == "function" ? given(type) : given && given[type.name]
+  if (!attrs) attrs = constraint || null
+  for (let name in type.attrs)
+    if (type.attrs[name].isRequired && !(attrs && name in attrs)) return false
+  if (constraint && !attrsMatch(constraint, type.computeAttrs(attrs))) return false
+  return attrs
+}
+
+// Whether a node for the given edge can be created without further
+// information.
+function generatable(edge) {
+  let {type, attrs} = edge
+  if (type.isText) return false
+  for (let name in type.attrs)
+    if (type.attrs[name].isRequired && !(attrs && name in attrs)) return false
+  return true
+}
+
+// The edges that fillBefore may use at the given match, with the
+// preferred ones first.
+function fillOptions(match, prefer) {
+  let result = []
+  if (prefer) for (let i = 0; i < prefer.length; i++) {
+    let type = prefer[i].type || prefer[i], given = prefer[i].type ? prefer[i].attrs : null
+    for (let j = 0; j < match.next.length; j++) {
+      let edge = match.next[j]
+      if (edge.type != type || type.isText) continue
+      let attrs = mergeAttrs(edge.attrs || {}, given || {}, true)
+      if (generatable({type, attrs}) && (!edge.attrs || attrsMatch(edge.attrs, type.computeAttrs(attrs))))
+        result.push({type, attrs, next: edge.next})
+    }
+  }
+  for (let i = 0; i < match.next.length; i++)
+    if (generatable(match.next[i])) result.push(match.next[i])
+  return result
+}
+
+function termString(term) {
+  let str = term.type.name
+  if (term.attrs) {
+    let parts = []
+    for (let name in term.attrs) parts.push(name + "=" + JSON.stringify(term.attrs[name]))
+    str += "[" + parts.join(", ") + "]"
+  }
+  return str
+}
 
 class TokenStream {
   constructor(string, nodeTypes) {
@@ -195,9 +482,8 @@ class TokenStream {
     this.nodeTypes = nodeTypes
     this.inline = null
     this.pos = 0
-    this.tokens = string.split(/\s*(?=\b|\W|$)/)
-    if (this.tokens[this.tokens.length - 1] == "") this.tokens.pop()
-    if (this.tokens[0] == "") this.tokens.shift()
+    this.tokens = string.match(/"(?:[^"\\]|\\.)*"|\w+|\S/g) || []
+    this.terms = Object.create(null)
   }
 
   get next() { return this.tokens[this.pos] }
@@ -205,19 +491,35 @@ class TokenStream {
   eat(tok) { return this.next == tok && (this.pos++ || true) }
 
   err(str) { throw new SyntaxError(str + " (in content expression '" + this.string + "')") }
+
+  // Terms are shared between all occurrences of the same node type
+  // and attribute constraints, so that the automaton can treat them
+  // as a single input.
+  term(type, attrs) {
+    let key = type.name
+    if (attrs) key += JSON.stringify(Object.keys(attrs).sort().map(name => [name, attrs[name]]))
+    return this.terms[key] || (this.terms[key] = {type, attrs})
+  }
 }
 
 function parseExpr(stream) {
   let exprs = []
-  do { exprs.push(parseExprSeq(stream)) }
+  do { exprs.push(parseExprInterleave(stream)) }
   while (stream.eat("|"))
   return exprs.length == 1 ? exprs[0] : {type: "choice", exprs}
 }
 
+function parseExprInterleave(stream) {
+  let exprs = []
+  do { exprs.push(parseExprSeq(stream)) }
+  while (stream.eat("&"))
+  return exprs.length == 1 ? exprs[0] : {type: "interleave", exprs}
+}
+
 function parseExprSeq(stream) {
   let exprs = []
   do { exprs.push(parseExprSubscript(stream)) }
-  while (stream.next && stream.next != ")" && stream.next != "|")
+  while (stream.next && stream.next != ")" && stream.next != "|" && stream.next != "&")
   return exprs.length == 1 ? exprs[0] : {type: "seq", exprs}
 }
 
@@ -254,7 +556,24 @@ function parseExprRange(stream, expr) {
   return {type: "range", min, max, expr}
 }
 
-function resolveName(stream, name) {
+// Resolve the name at the current position, along with any `- name`
+// exclusions following it, to a set of node types.
+function resolveName(stream) {
+  let name = stream.next, result = typesNamed(stream, name)
+  stream.pos++
+  while (stream.eat("-")) {
+    let excluded = stream.next
+    if (!excluded || /\W/.test(excluded)) stream.err("Expected node type or group after '-', got '" + excluded + "'")
+    let types = typesNamed(stream, excluded)
+    stream.pos++
+    result = result.filter(type => types.indexOf(type) == -1)
+    name += " - " + excluded
+  }
+  if (result.length == 0) stream.err("No node types left in '" + name + "'")
+  return result
+}
+
+function typesNamed(stream, name) {
   let types = stream.nodeTypes, type = types[name]
   if (type) return [type]
   let result = []
@@ -272,18 +591,60 @@ function parseExprAtom(stream) {
     if (!stream.eat(")")) stream.err("Missing closing paren")
     return expr
   } else if (!/\W/.test(stream.next)) {
-    let exprs = resolveName(stream, stream.next).map(type => {
+    let types = resolveName(stream)
+    let attrs = stream.eat("[") ? parseAttrs(stream, types) : null
+    let exprs = types.map(type => {
       if (stream.inline == null) stream.inline = type.isInline
       else if (stream.inline != type.isInline) stream.err("Mixing inline and block content")
-      return {type: "name", value: type}
+      return {type: "name", value: stream.term(type, attrs)}
     })
-    stream.pos++
     return exprs.length == 1 ? exprs[0] : {type: "choice", exprs}
   } else {
     stream.err("Unexpected token '" + stream.next + "'")
   }
 }
 
+// Parses the constraints in `[name=value, ...]` after a node name.
+// Values can be numbers, quoted strings, `true`, `false`, `null`, or
+// plain words, which are read as strings.
+function parseAttrs(stream, types) {
+  let attrs = {}
+  do {
+    let name = stream.next
+    if (!name || /\W/.test(name)) stream.err("Expected attribute name, got '" + name + "'")
+    for (let i = 0; i < types.length; i++)
+      if (!(name in types[i].attrs)) stream.err("Node type '" + types[i].name + "' has no attribute '" + name + "'")
+    stream.pos++
+    if (!stream.eat("=")) stream.err("Expected '=' after attribute name '" + name + "'")
+    attrs[name] = parseAttrValue(stream)
+  } while (stream.eat(","))
+  if (!stream.eat("]")) stream.err("Unclosed attribute constraint")
+  return attrs
+}
+
+function parseAttrValue(stream) {
+  let tok = stream.next, negative = false
+  if (tok == "-") { negative = true; tok = stream.tokens[++stream.pos] }
+  if (tok == null) stream.err("Expected attribute value")
+  stream.pos++
+  if (/^\d+$/.test(tok)) {
+    if (stream.eat(".")) {
+      let fraction = stream.next
+      if (!fraction || !/^\d+$/.test(fraction)) stream.err("Invalid attribute value '" + tok + "." + (fraction || "") + "'")
+      stream.pos++
+      tok += "." + fraction
+    }
+    return negative ? -Number(tok) : Number(tok)
+  }
+  if (negative) stream.err("Expected number after '-'")
+  if (tok[0] == '"') return JSON.parse(tok)
+  if (tok == "true") return true
+  if (tok == "false") return false
+  if (tok == "null") return null
+  if (/\W/.test(tok)) stream.err("Unexpected token '" + tok + "' in attribute constraint")
+  return tok
+}
+
 // The code below helps compile a regular-expression-like language
 // into a deterministic finite automaton. For a good introduction to
 // these concepts, see https://swtch.com/~rsc/regexp/regexp1.html
@@ -298,14 +659,14 @@ function parseExprAtom(stream) {
 // significant, in that it is used to contruct filler content when
 // necessary.
 function nfa(expr) {
-  let nfa = [[]]
+  let states = [[]]
   connect(compile(expr, 0), node())
-  return nfa
+  return states
 
-  function node() { return nfa.push([]) - 1 }
+  function node() { return states.push([]) - 1 }
   function edge(from, to, term) {
     let edge = {term, to}
-    nfa[from].push(edge)
+    states[from].push(edge)
     return edge
   }
   function connect(edges, to) { edges.forEach(edge => edge.to = to) }
@@ -349,10 +710,38 @@ function nfa(expr) {
         }
       }
       return [edge(cur)]
+    } else if (expr.type == "interleave") {
+      return interleave(expr.exprs.map(nfa), from)
     } else if (expr.type == "name") {
       return [edge(from, null, expr.value)]
     }
   }
+
+  // Compile an interleaving by building the product of the automata
+  // for its parts, where each state tracks the position in every
+  // part, and each edge advances one of them.
+  function interleave(parts, from) {
+    let known = Object.create(null), work = []
+    function state(positions) {
+      let key = positions.join(",")
+      if (!(key in known)) {
+        known[key] = node()
+        work.push(positions)
+      }
+      return known[key]
+    }
+    edge(from, state(parts.map(() => 0)))
+    for (let i = 0; i < work.length; i++) {
+      let positions = work[i], cur = known[positions.join(",")]
+      positions.forEach((pos, j) => parts[j][pos].forEach(({term, to}) => {
+        let next = positions.slice()
+        next[j] = to
+        edge(cur, state(next), term)
+      }))
+    }
+    let end = known[parts.map(part => part.length - 1).join(",")]
+    return end == null ? [] : [edge(end)]
+  }
 }
 
 function cmp(a, b) { return b - a }
@@ -397,21 +786,82 @@ function dfa(nfa) {
       })
     })
     let state = labeled[states.join(",")] = new ContentMatch(states.indexOf(nfa.length - 1) > -1)
-    for (let i = 0; i < out.length; i += 2) {
-      let states = out[i + 1].sort(cmp)
-      state.next.push(out[i], labeled[states.join(",")] || explore(states))
+    let edges = combineTerms(out)
+    for (let i = 0; i < edges.length; i++) {
+      let {type, attrs, states} = edges[i]
+      state.next.push({type, attrs, next: labeled[states.join(",")] || explore(states)})
     }
     return state
   }
 }
 
+// : ([{type: NodeType, attrs: ?Object}, [number]]) → [{type: NodeType, attrs: ?Object, states: [number]}]
+// Turn the terms (with their target NFA states) that leave a DFA
+// state into a set of edges. Since a node can satisfy several
+// attribute constraints for its type at once, each compatible
+// combination of constraints gets its own edge, leading to the union
+// of their targets. Edges for a given type are ordered from most to
+// least specific, so that the first one that matches a node is the
+// one that describes all the terms it matches.
+function combineTerms(out) {
+  let edges = [], done = []
+  for (let i = 0; i < out.length; i += 2) {
+    let type = out[i].type
+    if (done.indexOf(type) > -1) continue
+    done.push(type)
+    let plain = null, constrained = []
+    for (let j = i; j < out.length; j += 2) if (out[j].type == type) {
+      if (out[j].attrs) constrained.push({attrs: out[j].attrs, states: out[j + 1]})
+      else plain = out[j + 1]
+    }
+    let combos = []
+    combineConstraints(constrained, 0, {}, plain || [], 0, combos)
+    combos.sort((a, b) => b.size - a.size)
+    let seen = []
+    for (let j = 0; j < combos.length; j++) {
+      let key = JSON.stringify(Object.keys(combos[j].attrs).sort().map(name => [name, combos[j].attrs[name]]))
+      if (seen.indexOf(key) > -1) continue
+      seen.push(key)
+      edges.push({type, attrs: combos[j].attrs, states: combos[j].states.sort(cmp)})
+    }
+    if (plain) edges.push({type, attrs: null, states: plain.sort(cmp)})
+  }
+  return edges
+}
+
+function combineConstraints(constrained, start, attrs, states, size, out) {
+  if (size) out.push({attrs, states, size})
+  for (let i = start; i < constrained.length; i++) {
+    let merged = mergeAttrs(attrs, constrained[i].attrs)
+    if (merged) combineConstraints(constrained, i + 1, merged, union(states, constrained[i].states), size + 1, out)
+  }
+}
+
+// Combine two sets of attributes. Returns null when they conflict,
+// unless `override` is true, in which case values from `b` win.
+function mergeAttrs(a, b, override) {
+  let result = {}
+  for (let name in a) result[name] = a[name]
+  for (let name in b) {
+    if (!override && name in result && result[name] !== b[name]) return null
+    result[name] = b[name]
+  }
+  return result
+}
+
+function union(a, b) {
+  let result = a.slice()
+  for (let i = 0; i < b.length; i++) if (result.indexOf(b[i]) == -1) result.push(b[i])
+  return result
+}
+
 function checkForDeadEnds(match, stream) {
   for (let i = 0, work = [match]; i < work.length; i++) {
     let state = work[i], dead = !state.validEnd, nodes = []
-    for (let j = 0; j < state.next.length; j += 2) {
-      let node = state.next[j], next = state.next[j + 1]
-      nodes.push(node.name)
-      if (dead && !(node.isText || node.hasRequiredAttrs())) dead = false
+    for (let j = 0; j < state.next.length; j++) {
+      let edge = state.next[j], next = edge.next
+      nodes.push(termString(edge))
+      if (dead && generatable(edge)) dead = false
       if (work.indexOf(next) == -1) work.push(next)
     }
     if (dead) stream.err("Only non-generatable nodes (" + nodes.join(", ") + ") in a required position (see https://prosemirror.net/docs/guide/#generatable)")
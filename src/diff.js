@@ -1,3 +1,7 @@
+import {Mark} from "./mark"
+import {compareDeep} from "./comparedeep"
+import {knownDifferent} from "./hash"
+
 export function findDiffStart(a, b, pos) {
   for (let i = 0;; i++) {
     if (i == a.childCount || i == b.childCount)
@@ -8,7 +12,9 @@ export function findDiffStart(a, b, pos) {
 
     if (!childA.sameMarkup(childB)) return pos
 
-    if (childA.isText && childA.text != childB.text) {
+    // Text nodes with the same markup whose hashes differ have
+    // different text, so there's no need to compare all of it
+    if (childA.isText && (knownDifferent(childA, childB) || childA.text != childB.text)) {
       for (let j = 0; childA.text[j] == childB.text[j]; j++)
         pos++
       return pos
@@ -34,7 +40,7 @@ export function findDiffEnd(a, b, posA, posB) {
 
     if (!childA.sameMarkup(childB)) return {a: posA, b: posB}
 
-    if (childA.isText && childA.text != childB.text) {
+    if (childA.isText && (knownDifferent(childA, childB) || childA.text != childB.text)) {
       let same = 0, minSize = Math.min(childA.text.length, childB.text.length)
       while (same < minSize && childA.text[childA.text.length - same - 1] == childB.text[childB.text.length - same - 1]) {
         same++; posA--; posB--
@@ -48,3 +54,433 @@ export function findDiffEnd(a, b, posA, posB) {
     posA -= size; posB -= size
   }
 }
+
+// DiffRange:: interface
+// A changed range, as returned by
+// [`findDiffRanges`](#model.Fragment.findDiffRanges). Holds the
+// range's position in both fragments, and the kind of change.
+//
+// @cn 一个发生了变化的范围，由 [`findDiffRanges`](#model.Fragment.findDiffRanges) 返回。保存了该范围在两个 fragment 中的位置，以及变化的类型。
+//
+//   fromA:: number
+//   The start of the range in the first fragment.
+//
+//   @cn 该范围在第一个 fragment 中的开始位置。
+//
+//   toA:: number
+//   The end of the range in the first fragment.
+//
+//   @cn 该范围在第一个 fragment 中的结束位置。
+//
+//   fromB:: number
+//   The start of the range in the second fragment.
+//
+//   @cn 该范围在第二个 fragment 中的开始位置。
+//
+//   toB:: number
+//   The end of the range in the second fragment.
+//
+//   @cn 该范围在第二个 fragment 中的结束位置。
+//
+//   type:: string
+//   The kind of change. One of:
+//
+//   **`"text"`**
+//     : Text was inserted (when the range is empty in the first
+//       fragment), deleted (when it is empty in the second), or
+//       replaced.
+//
+//   **`"nodes"`**
+//     : Whole nodes were inserted, deleted, or replaced by other
+//       nodes. Changing a node's type is reported like this.
+//
+//   **`"attrs"`**
+//     : The attributes of the node at `fromA`/`fromB` changed. The
+//       range covers the node's start token (which, for a leaf node,
+//       is the whole node). Changes inside the node's content are
+//       reported separately.
+//
+//   **`"marks"`**
+//     : The content in the range is the same, but has different
+//       marks.
+//
+//   **`"replace"`**
+//     : Any other change, such as a node being split or joined.
+//
+//   @cn 变化的类型。是以下之一：
+//
+//   @cn **`"text"`**：文本被插入（如果该范围在第一个 fragment 中是空的）、被删除（如果它在第二个 fragment 中是空的）或者被替换。
+//
+//   @cn **`"nodes"`**：整个节点被插入、删除或者被其他节点替换。改变一个节点的类型也会以这种方式报告。
+//
+//   @cn **`"attrs"`**：在 `fromA`/`fromB` 处的节点的 attributes 改变了。该范围覆盖节点的开始标记（对于叶子节点来说就是整个节点）。节点内容中的变化会被单独报告。
+//
+//   @cn **`"marks"`**：该范围中的内容是相同的，但是有着不同的 marks。
+//
+//   @cn **`"replace"`**：任何其他的变化，比如一个节点被拆分或者被合并。
+//
+//   attrs:: ?Object
+//   For attribute changes, an object that maps the name of each
+//   changed attribute to an `{old, new}` object holding its value in
+//   both fragments.
+//
+//   @cn 对于 attribute 的变化，是一个对象，其将每一个改变了的 attribute 的名字映射到一个 `{old, new}` 对象上，保存了其在两个 fragment 中的值。
+//
+//   added:: ?[Mark]
+//   For mark changes, the marks that the content has in the second
+//   fragment, but not in the first.
+//
+//   @cn 对于 mark 的变化，内容在第二个 fragment 中有、但在第一个 fragment 中没有的 marks。
+//
+//   removed:: ?[Mark]
+//   For mark changes, the marks that the content has in the first
+//   fragment, but not in the second.
+//
+//   @cn 对于 mark 的变化，内容在第一个 fragment 中有、但在第二个 fragment 中没有的 marks。
+
+// : (Fragment, Fragment, number, number, string) → [DiffRange]
+export function findDiffRanges(a, b, posA, posB, granularity) {
+  if (granularity != "char" && granularity != "word" && granularity != "sentence")
+    throw new RangeError("Unknown diff granularity: " + granularity)
+  let ranges = []
+  diffFragments(a, b, posA, posB, granularity, ranges)
+  return ranges
+}
+
+// Children that are identical, or have the same hash and are equal,
+// are considered unchanged.
+function sameNode(a, b) {
+  return a == b || (a.hash == b.hash && a.eq(b))
+}
+
+// Align the children of two fragments, and diff the runs of children
+// that didn't align. Inline content is diffed as a whole.
+function diffFragments(a, b, posA, posB, granularity, ranges) {
+  let startA = 0, startB = 0, endA = a.childCount, endB = b.childCount
+  while (startA < endA && startB < endB && sameNode(a.child(startA), b.child(startB))) {
+    let size = a.child(startA++).nodeSize
+    startB++
+    posA += size; posB += size
+  }
+  while (endA > startA && endB > startB && sameNode(a.child(endA - 1), b.child(endB - 1))) {
+    endA--; endB--
+  }
+  if (startA == endA && startB == endB) return
+
+  let inline = startA < endA ? a.child(startA).isInline : b.child(startB).isInline
+  if (inline) {
+    let contentA = inlineContent(a, startA, endA), contentB = inlineContent(b, startB, endB)
+    if (contentA && contentB) diffInline(contentA, contentB, posA, posB, granularity, ranges)
+    else diffGap(a, b, startA, endA, startB, endB, posA, posB, granularity, ranges)
+    return
+  }
+
+  let matches = commonSubsequence(endA - startA, endB - startB,
+                                  (iA, iB) => sameNode(a.child(startA + iA), b.child(startB + iB)))
+  if (!matches) {
+    diffGap(a, b, startA, endA, startB, endB, posA, posB, granularity, ranges)
+    return
+  }
+  let iA = startA, iB = startB
+  for (let i = 0; i <= matches.length; i += 2) {
+    let nextA = i < matches.length ? startA + matches[i] : endA
+    let nextB = i < matches.length ? startB + matches[i + 1] : endB
+    if (nextA > iA || nextB > iB) {
+      diffGap(a, b, iA, nextA, iB, nextB, posA, posB, granularity, ranges)
+      posA += sizeBetween(a, iA, nextA)
+      posB += sizeBetween(b, iB, nextB)
+    }
+    if (i < matches.length) {
+      let size = a.child(nextA).nodeSize
+      posA += size; posB += size
+    }
+    iA = nextA + 1; iB = nextB + 1
+  }
+}
+
+// Diff two runs of children that don't have unchanged children in
+// common. When both runs consist of the same number of non-text
+// nodes of the same types, diff those pairwise. Otherwise, the run is
+// reported as a single range, narrowed down to the part that actually
+// differs.
+function diffGap(a, b, fromA, toA, fromB, toB, posA, posB, granularity, ranges) {
+  if (toA - fromA == toB - fromB && pairable(a, b, fromA, toA, fromB)) {
+    for (let iA = fromA, iB = fromB; iA < toA; iA++, iB++) {
+      let childA = a.child(iA), childB = b.child(iB), attrs = attrsDiff(childA.attrs, childB.attrs)
+      if (attrs) addRange(ranges, "attrs", posA, posA + 1, posB, posB + 1).attrs = attrs
+      if (!childA.isLeaf) diffFragments(childA.content, childB.content, posA + 1, posB + 1, granularity, ranges)
+      posA += childA.nodeSize; posB += childB.nodeSize
+    }
+    return
+  }
+  let gapA = a.cutByIndex(fromA, toA), gapB = b.cutByIndex(fromB, toB)
+  let start = findDiffStart(gapA, gapB, 0)
+  if (start == null) return
+  let end = findDiffEnd(gapA, gapB, gapA.size, gapB.size), endA = end.a, endB = end.b
+  if (endA < start) { endB += start - endA; endA = start }
+  if (endB < start) { endA += start - endB; endB = start }
+  let aligned = atBoundary(gapA, start) && atBoundary(gapB, start) && atBoundary(gapA, endA) && atBoundary(gapB, endB)
+  addRange(ranges, aligned ? "nodes" : "replace", posA + start, posA + endA, posB + start, posB + endB)
+}
+
+function pairable(a, b, fromA, toA, fromB) {
+  for (let iA = fromA, iB = fromB; iA < toA; iA++, iB++) {
+    let childA = a.child(iA), childB = b.child(iB)
+    if (childA.isText || childA.type != childB.type || !Mark.sameSet(childA.marks, childB.marks)) return false
+  }
+  return true
+}
+
+function atBoundary(fragment, pos) {
+  return fragment.findIndex(pos).offset == pos
+}
+
+function attrsDiff(a, b) {
+  let result = null
+  for (let name in a) if (!compareDeep(a[name], b[name]))
+    (result || (result = {}))[name] = {old: a[name], new: b[name]}
+  return result
+}
+
+function sizeBetween(fragment, from, to) {
+  let size = 0
+  for (let i = from; i < to; i++) size += fragment.child(i).nodeSize
+  return size
+}
+
+// Add a range, joining it with the previous one when they touch and
+// have the same type. Returns the range that was added or extended.
+function addRange(ranges, type, fromA, toA, fromB, toB) {
+  let last = ranges.length ? ranges[ranges.length - 1] : null
+  if (last && last.type == type && last.toA == fromA && last.toB == fromB &&
+      type != "attrs" && type != "marks") {
+    last.toA = toA
+    last.toB = toB
+    return last
+  }
+  let range = {fromA, toA, fromB, toB, type}
+  ranges.push(range)
+  return range
+}
+
+// Inline content is diffed as a string, in which inline leaf nodes
+// are represented by an object replacement character. `segments`
+// holds the offset at which each node starts, followed by the node.
+// Returns null when the content holds inline nodes with content,
+// which can't be represented this way.
+function inlineContent(fragment, from, to) {
+  let text = "", segments = []
+  for (let i = from; i < to; i++) {
+    let child = fragment.child(i)
+    if (!child.isText && !child.isLeaf) return null
+    segments.push(text.length, child)
+    text += child.isText ? child.text : "\ufffc"
+  }
+  return {text, segments}
+}
+
+// Find the index in `segments` of the node that covers the given
+// offset.
+function segmentAt(content, offset) {
+  let segments = content.segments, lo = 0, hi = segments.length / 2 - 1
+  while (lo < hi) {
+    let mid = (lo + hi + 1) >> 1
+    if (segments[mid * 2] > offset) hi = mid - 1
+    else lo = mid
+  }
+  return lo * 2
+}
+
+function nodeAtOffset(content, offset) {
+  return content.segments[segmentAt(content, offset) + 1]
+}
+
+function sameUnit(a, b, offsetA, offsetB) {
+  let ch = a.text.charCodeAt(offsetA)
+  if (ch != b.text.charCodeAt(offsetB)) return false
+  if (ch != 0xfffc) return true
+  let nodeA = nodeAtOffset(a, offsetA), nodeB = nodeAtOffset(b, offsetB)
+  return nodeA.isText ? nodeB.isText : nodeA.type == nodeB.type
+}
+
+// Diff inline content. The content is split into tokens of the
+// given granularity, the tokens that are the same (ignoring marks)
+// are aligned, and the tokens in between are reported as changed.
+// Marks and leaf node attributes are compared for the aligned
+// tokens.
+function diffInline(a, b, posA, posB, granularity, ranges) {
+  let tokA = tokenize(a, granularity), tokB = tokenize(b, granularity)
+  let lenA = tokA.length - 1, lenB = tokB.length - 1, start = 0, endA = lenA, endB = lenB
+  while (start < lenA && start < lenB && sameToken(a, b, tokA, tokB, start, start)) start++
+  while (endA > start && endB > start && sameToken(a, b, tokA, tokB, endA - 1, endB - 1)) { endA--; endB-- }
+  let matches = commonSubsequence(endA - start, endB - start,
+                                  (iA, iB) => sameToken(a, b, tokA, tokB, start + iA, start + iB)) || []
+
+  // Build the full list of aligned token pairs
+  let pairs = []
+  for (let i = 0; i < start; i++) pairs.push(i, i)
+  for (let i = 0; i < matches.length; i++) pairs.push(start + matches[i])
+  for (let i = 0; endA + i < lenA; i++) pairs.push(endA + i, endB + i)
+
+  let iA = 0, iB = 0
+  for (let k = 0;;) {
+    let nextA = k < pairs.length ? pairs[k] : lenA, nextB = k < pairs.length ? pairs[k + 1] : lenB
+    if (nextA > iA || nextB > iB) addChange(a, b, tokA[iA], tokA[nextA], tokB[iB], tokB[nextB], posA, posB, ranges)
+    if (k == pairs.length) break
+    let end = k + 2
+    while (end < pairs.length && pairs[end] == pairs[end - 2] + 1 && pairs[end + 1] == pairs[end - 1] + 1) end += 2
+    iA = pairs[end - 2] + 1; iB = pairs[end - 1] + 1
+    diffAligned(a, b, tokA[nextA], tokB[nextB], tokA[iA] - tokA[nextA], posA, posB, ranges)
+    k = end
+  }
+}
+
+function addChange(a, b, fromA, toA, fromB, toB, posA, posB, ranges) {
+  let kindA = contentKind(a, fromA, toA), kindB = contentKind(b, fromB, toB)
+  let type = kindA && kindB && kindA != kindB ? "replace" : kindA || kindB
+  addRange(ranges, type, posA + fromA, posA + toA, posB + fromB, posB + toB)
+}
+
+const sentenceEnd = /[.!?\u3002\uff01\uff1f]/, space = /\s/
+
+function isWordChar(ch) {
+  return /\w/.test(ch) || (ch > "\x80" && ch.toUpperCase() != ch.toLowerCase())
+}
+
+// Split inline content into tokens, returning the offsets of the
+// token boundaries, including the start and end of the content.
+// Words are runs of word characters, with every other character,
+// and every leaf node, forming a token of its own. Sentences end
+// after sentence-ending punctuation followed by whitespace (or the
+// end of the content), and include that whitespace.
+function tokenize(content, granularity) {
+  let text = content.text, tokens = [0]
+  if (granularity == "char") {
+    for (let i = 1; i <= text.length; i++) tokens.push(i)
+  } else if (granularity == "word") {
+    for (let i = 0; i < text.length;) {
+      let end = i + 1
+      if (isWordChar(text.charAt(i))) while (end < text.length && isWordChar(text.charAt(end))) end++
+      tokens.push(i = end)
+    }
+  } else {
+    for (let i = 0; i < text.length; i++) {
+      if (!sentenceEnd.test(text.charAt(i))) continue
+      let end = i + 1
+      while (end < text.length && sentenceEnd.test(text.charAt(end))) end++
+      if (end < text.length && !space.test(text.charAt(end))) continue
+      while (end < text.length && space.test(text.charAt(end))) end++
+      tokens.push(end)
+      i = end - 1
+    }
+    if (tokens[tokens.length - 1] < text.length) tokens.push(text.length)
+  }
+  return tokens
+}
+
+function sameToken(a, b, tokA, tokB, iA, iB) {
+  let start = tokA[iA], startB = tokB[iB], len = tokA[iA + 1] - start
+  if (len != tokB[iB + 1] - startB) return false
+  for (let i = 0; i < len; i++) if (!sameUnit(a, b, start + i, startB + i)) return false
+  return true
+}
+
+// Returns "text" when the given range only holds text, "nodes" when
+// it only holds leaf nodes, "replace" when it holds both, and null
+// when it is empty.
+function contentKind(content, from, to) {
+  if (from == to) return null
+  let text = false, nodes = false
+  for (let i = segmentAt(content, from); i < content.segments.length && content.segments[i] < to; i += 2) {
+    if (content.segments[i + 1].isText) text = true
+    else nodes = true
+  }
+  return text && nodes ? "replace" : text ? "text" : "nodes"
+}
+
+// Compare the marks and leaf node attributes of `count` units that
+// were found to be the same, starting at `startA` and `startB`.
+function diffAligned(a, b, startA, startB, count, posA, posB, ranges) {
+  let iA = segmentAt(a, startA), iB = segmentAt(b, startB)
+  for (let offset = 0; offset < count;) {
+    let nodeA = a.segments[iA + 1], nodeB = b.segments[iB + 1]
+    let endA = iA + 2 < a.segments.length ? a.segments[iA + 2] - startA : a.text.length - startA
+    let endB = iB + 2 < b.segments.length ? b.segments[iB + 2] - startB : b.text.length - startB
+    let end = Math.min(endA, endB, count)
+    let fromA = posA + startA + offset, toA = posA + startA + end
+    let fromB = posB + startB + offset, toB = posB + startB + end
+    if (!nodeA.isText) {
+      let attrs = attrsDiff(nodeA.attrs, nodeB.attrs)
+      if (attrs) addRange(ranges, "attrs", fromA, toA, fromB, toB).attrs = attrs
+    }
+    if (!Mark.sameSet(nodeA.marks, nodeB.marks))
+      addMarksRange(ranges, fromA, toA, fromB, toB,
+                    marksMissing(nodeB.marks, nodeA.marks), marksMissing(nodeA.marks, nodeB.marks))
+    offset = end
+    if (end == endA) iA += 2
+    if (end == endB) iB += 2
+  }
+}
+
+// Add a mark change, joining it with the previous range when that is
+// an adjacent change that added and removed the same marks.
+function addMarksRange(ranges, fromA, toA, fromB, toB, added, removed) {
+  let last = ranges.length ? ranges[ranges.length - 1] : null
+  if (last && last.type == "marks" && last.toA == fromA && last.toB == fromB &&
+      Mark.sameSet(last.added, added) && Mark.sameSet(last.removed, removed)) {
+    last.toA = toA
+    last.toB = toB
+  } else {
+    let range = addRange(ranges, "marks", fromA, toA, fromB, toB)
+    range.added = added
+    range.removed = removed
+  }
+}
+
+// Get the marks in `marks` that aren't in `other`.
+function marksMissing(marks, other) {
+  return marks.filter(m => !m.isInSet(other))
+}
+
+// Give up on aligning sequences that differ in more places than
+// this, treating them as entirely changed instead.
+const maxDiffCost = 500
+
+// : (number, number, (number, number) → bool) → ?[number]
+// Find the longest common subsequence of two sequences, using Myers'
+// O(ND) algorithm. Returns the indices of the matching elements as a
+// flat array of `indexA, indexB` pairs, or null when the sequences
+// differ in more than `maxDiffCost` places.
+export function commonSubsequence(lenA, lenB, eq) {
+  let max = lenA + lenB, v = new Array(2 * max + 2), trace = []
+  v[max + 1] = 0
+  for (let d = 0; d <= max; d++) {
+    if (d > maxDiffCost) return null
+    // Store the furthest points reached in the previous round, for
+    // diagonals -(d-1) to d-1, for backtracking.
+    trace.push(v.slice(max - d + 1, max + d))
+    for (let k = -d; k <= d; k += 2) {
+      let x = k == -d || (k != d && v[max + k - 1] < v[max + k + 1]) ? v[max + k + 1] : v[max + k - 1] + 1
+      let y = x - k
+      while (x < lenA && y < lenB && eq(x, y)) { x++; y++ }
+      v[max + k] = x
+      if (x >= lenA && y >= lenB) return backtrack(trace, d, lenA, lenB)
+    }
+  }
+  return null
+}
+
+function backtrack(trace, d, x, y) {
+  let matches = []
+  for (; d > 0; d--) {
+    let prev = trace[d], k = x - y
+    let prevK = k == -d || (k != d && prev[k - 1 + d - 1] < prev[k + 1 + d - 1]) ? k + 1 : k - 1
+    let prevX = prev[prevK + d - 1], prevY = prevX - prevK
+    while (x > prevX && y > prevY) matches.push(--x, --y)
+    x = prevX; y = prevY
+  }
+  while (x > 0 && y > 0) matches.push(--x, --y)
+  let result = []
+  for (let i = matches.length - 2; i >= 0; i -= 2) result.push(matches[i], matches[i + 1])
+  return result
+}
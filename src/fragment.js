@@ -1,4 +1,8 @@
-import {findDiffStart, findDiffEnd} from "./diff"
+import {findDiffStart, findDiffEnd, findDiffRanges} from "./diff"
+import {query} from "./query"
+import {textMapBetween, eachTextBetween} from "./textmap"
+import {hashStart, hashInt, knownDifferent} from "./hash"
+import {buildTree, flattenTree, nodeAt, locate, eachNodeBetween, replaceInTree, sliceTree, concatTrees} from "./fragmenttree"
 
 // ::- A fragment represents a node's collection of child nodes.
 //
@@ -9,9 +13,16 @@ import {findDiffStart, findDiffEnd} from "./diff"
 // instances whenever needed. The API tries to make this easy.
 // 
 // @cn 像 nodes 一样，fragment 也是一个持久化数据结构，你不应该直接修改他们或者他们的内容，而应该创建一个新的实例。下面的 API 就是用来试图将这件事变得容易。
+//
+// Fragments with a lot of children store them in a balanced tree, so
+// that looking up a child or a position takes logarithmic time. This
+// doesn't change the interface they provide.
+//
+// @cn 拥有大量子节点的 fragment 会将子节点存储在一个平衡树中，从而查找一个子节点或者一个位置只需要对数级别的时间。这并不会改变它们提供的接口。
 export class Fragment {
   constructor(content, size) {
-    this.content = content
+    // Tree fragments pass null, and provide `content` through a getter.
+    if (content) this.content = content
     // :: number
     // The size of the fragment, which is the total of the size of its
     // content nodes.
@@ -20,6 +31,8 @@ export class Fragment {
     this.size = size || 0
     if (size == null) for (let i = 0; i < content.length; i++)
       this.size += content[i].nodeSize
+    // : ?number
+    this.hashCache = null
   }
 
   // :: (number, number, (node: Node, start: number, parent: Node, index: number) → ?bool, ?number)
@@ -50,26 +63,35 @@ export class Fragment {
     this.nodesBetween(0, this.size, f)
   }
 
+  // :: (string) → [{node: Node, pos: number}]
+  // Find the nodes in this fragment that match the given selector,
+  // with their positions relative to the start of the fragment. See
+  // the same method on [`Node`](#model.Node.query).
+  //
+  // @cn 找到当前 fragment 中匹配给定选择器的节点，以及它们相对于 fragment 开头的位置。参见 [`Node`](#model.Node.query) 上的同名方法。
+  query(selector) {
+    return query(this, null, selector)
+  }
+
   // :: (number, number, ?string, ?string) → string
   // Extract the text between `from` and `to`. See the same method on
   // [`Node`](#model.Node.textBetween).
   textBetween(from, to, blockSeparator, leafText) {
-    let text = "", separated = true
-    this.nodesBetween(from, to, (node, pos) => {
-      if (node.isText) {
-        text += node.text.slice(Math.max(from, pos) - pos, to - pos)
-        separated = !blockSeparator
-      } else if (node.isLeaf && leafText) {
-        text += leafText
-        separated = !blockSeparator
-      } else if (!separated && node.isBlock) {
-        text += blockSeparator
-        separated = true
-      }
-    }, 0)
+    let text = ""
+    eachTextBetween(this, from, to, blockSeparator, leafText, str => { text += str })
     return text
   }
 
+  // :: (number, number, ?string, ?string) → TextMap
+  // Like [`textBetween`](#model.Fragment.textBetween), but also
+  // returns a mapping between offsets in the text and positions. See
+  // the same method on [`Node`](#model.Node.textMapBetween).
+  //
+  // @cn 与 [`textBetween`](#model.Fragment.textBetween) 类似，不过还会返回文本中的偏移量与位置之间的映射。参见 [`Node`](#model.Node.textMapBetween) 上的同名方法。
+  textMapBetween(from, to, blockSeparator, leafText) {
+    return textMapBetween(this, from, to, blockSeparator, leafText)
+  }
+
   // :: (Fragment) → Fragment
   // Create a new fragment containing the combined content of this
   // fragment and the other.
@@ -78,12 +100,13 @@ export class Fragment {
   append(other) {
     if (!other.size) return this
     if (!this.size) return other
+    if (this.content.length + other.childCount > maxFlatChildren) return joinFragments(this, other)
     let last = this.lastChild, first = other.firstChild, content = this.content.slice(), i = 0
     if (last.isText && last.sameMarkup(first)) {
-      content[content.length - 1] = last.withText(last.text + first.text)
+      content[content.length - 1] = last.appendText(first)
       i = 1
     }
-    for (; i < other.content.length; i++) content.push(other.content[i])
+    for (; i < other.childCount; i++) content.push(other.child(i))
     return new Fragment(content, this.size + other.size)
   }
 
@@ -98,12 +121,7 @@ export class Fragment {
     if (to > from) for (let i = 0, pos = 0; pos < to; i++) {
       let child = this.content[i], end = pos + child.nodeSize
       if (end > from) {
-        if (pos < from || end > to) {
-          if (child.isText)
-            child = child.cut(Math.max(0, from - pos), Math.min(child.text.length, to - pos))
-          else
-            child = child.cut(Math.max(0, from - pos - 1), Math.min(child.content.size, to - pos - 1))
-        }
+        if (pos < from || end > to) child = cutChild(child, pos, from, to)
         result.push(child)
         size += child.nodeSize
       }
@@ -115,7 +133,7 @@ export class Fragment {
   cutByIndex(from, to) {
     if (from == to) return Fragment.empty
     if (from == 0 && to == this.content.length) return this
-    return new Fragment(this.content.slice(from, to))
+    return fragmentFromArray(this.content.slice(from, to))
   }
 
   // :: (number, Node) → Fragment
@@ -138,7 +156,7 @@ export class Fragment {
   // 
   // @cn 将给定的节点添加到 fragment 起始位置后，返回得到的新的 fragment。
   addToStart(node) {
-    return new Fragment([node].concat(this.content), this.size + node.nodeSize)
+    return fragmentFromArray([node].concat(this.content), this.size + node.nodeSize)
   }
 
   // : (Node) → Fragment
@@ -147,7 +165,7 @@ export class Fragment {
   // 
   // @cn 将给定的节点添加到 fragment 的末尾位置后，返回得到的新的 fragment。
   addToEnd(node) {
-    return new Fragment(this.content.concat(node), this.size + node.nodeSize)
+    return fragmentFromArray(this.content.concat(node), this.size + node.nodeSize)
   }
 
   // :: (Fragment) → bool
@@ -157,12 +175,27 @@ export class Fragment {
   //
   // @comment 先比较 fragment 的内容大小，再逐个对内容节点调用节点的 eq 方法进行比较，一旦发现不一样的则返回 false，否则返回 true。
   eq(other) {
-    if (this.content.length != other.content.length) return false
+    if (this.content.length != other.childCount || knownDifferent(this, other)) return false
     for (let i = 0; i < this.content.length; i++)
-      if (!this.content[i].eq(other.content[i])) return false
+      if (!this.content[i].eq(other.child(i))) return false
     return true
   }
 
+  // :: number
+  // A hash of the fragment's content, computed from the
+  // [hashes](#model.Node.hash) of its children. Equal fragments
+  // always have the same hash.
+  //
+  // @cn 当前 fragment 内容的哈希值，由它的子节点的 [哈希值](#model.Node.hash) 计算得出。相等的 fragment 总是有相同的哈希值。
+  get hash() {
+    if (this.hashCache == null) {
+      let hash = hashInt(hashStart, this.content.length)
+      for (let i = 0; i < this.content.length; i++) hash = hashInt(hash, this.content[i].hash)
+      this.hashCache = hash >>> 0
+    }
+    return this.hashCache
+  }
+
   // :: ?Node
   // The first child of the fragment, or `null` if it is empty.
   //
@@ -236,6 +269,37 @@ export class Fragment {
     return findDiffEnd(this, other, pos, otherPos)
   }
 
+  // :: (Fragment, ?number, ?number, ?string) → [DiffRange]
+  // Find the ranges in which this fragment and the given fragment
+  // differ, in order. Unlike [`findDiffStart`](#model.Fragment.findDiffStart)
+  // and [`findDiffEnd`](#model.Fragment.findDiffEnd), which only find
+  // the outer bounds of the difference, this aligns the children of
+  // both fragments (matching them by identity or
+  // [hash](#model.Node.hash)), so that changes that are far apart
+  // produce separate ranges. Each range says what
+  // [kind](#model.DiffRange.type) of change it holds. Returns an
+  // empty array when the fragments are equal. `pos` and `otherPos`
+  // are added to the positions in the result.
+  //
+  // Inline content is compared as a sequence of tokens, which are
+  // aligned with each other so that separate edits inside a textblock
+  // produce separate ranges. `granularity` determines what a token
+  // is. It can be `"char"` (the default), in which case every
+  // character is a token, `"word"`, which makes words, and the
+  // individual characters between them, tokens, or `"sentence"`.
+  // Inline leaf nodes are compared like characters.
+  //
+  // @cn 按顺序找到当前 fragment 与给定 fragment 之间不同的范围。[`findDiffStart`](#model.Fragment.findDiffStart) 和
+  // [`findDiffEnd`](#model.Fragment.findDiffEnd) 只能找到不同之处的外边界，而该方法会对齐两个 fragment 的子节点（通过引用或者 [哈希值](#model.Node.hash) 来匹配），
+  // 因此相距较远的变化会产生不同的范围。每一个范围都会说明它包含的变化的 [类型](#model.DiffRange.type)。如果两个 fragment 相等则返回一个空数组。
+  // `pos` 和 `otherPos` 会被加到结果中的位置上。
+  //
+  // @cn 行内内容会被当作一个 token 序列来比较，这些 token 会相互对齐，因此在一个文本块中的多个独立的编辑会产生不同的范围。`granularity` 决定了什么是一个 token。
+  // 它可以是 `"char"`（默认值），此时每一个字符都是一个 token；也可以是 `"word"`，此时单词以及单词之间的单个字符是 token；或者是 `"sentence"`。行内的叶子节点会像字符一样被比较。
+  findDiffRanges(other, pos = 0, otherPos = 0, granularity = "char") {
+    return findDiffRanges(this, other, pos, otherPos, granularity)
+  }
+
   // : (number, ?number) → {index: number, offset: number}
   // Find the index and inner offset corresponding to a given relative
   // position in this fragment. The result object will be reused
@@ -277,7 +341,7 @@ export class Fragment {
   static fromJSON(schema, value) {
     if (!value) return Fragment.empty
     if (!Array.isArray(value)) throw new RangeError("Invalid input for Fragment.fromJSON")
-    return new Fragment(value.map(schema.nodeFromJSON))
+    return fragmentFromArray(value.map(schema.nodeFromJSON))
   }
 
   // :: ([Node]) → Fragment
@@ -293,12 +357,12 @@ export class Fragment {
       size += node.nodeSize
       if (i && node.isText && array[i - 1].sameMarkup(node)) {
         if (!joined) joined = array.slice(0, i)
-        joined[joined.length - 1] = node.withText(joined[joined.length - 1].text + node.text)
+        joined[joined.length - 1] = joined[joined.length - 1].appendText(node)
       } else if (joined) {
         joined.push(node)
       }
     }
-    return new Fragment(joined || array, size)
+    return fragmentFromArray(joined || array, size)
   }
 
   // :: (?union<Fragment, Node, [Node]>) → Fragment
@@ -326,6 +390,155 @@ function retIndex(index, offset) {
   return found
 }
 
+// Fragments with more children than this use a tree to store them.
+const maxFlatChildren = 256
+
+// A fragment that stores its children in a balanced tree (see
+// fragmenttree.js). Overrides all methods that access the children
+// directly, except for rarely used ones like `toJSON` and `toString`,
+// which use the array that `content` creates on demand.
+class TreeFragment extends Fragment {
+  constructor(tree) {
+    super(null, tree.size)
+    this.tree = tree
+    this.contentCache = null
+  }
+
+  get content() {
+    return this.contentCache || (this.contentCache = flattenTree(this.tree, []))
+  }
+
+  nodesBetween(from, to, f, nodeStart = 0, parent) {
+    eachNodeBetween(this.tree, from, to, (child, pos, index) => {
+      if (f(child, nodeStart + pos, parent, index) !== false && child.content.size) {
+        let start = pos + 1
+        child.nodesBetween(Math.max(0, from - start),
+                           Math.min(child.content.size, to - start),
+                           f, nodeStart + start)
+      }
+    })
+  }
+
+  append(other) {
+    if (!other.size) return this
+    return joinFragments(this, other)
+  }
+
+  cut(from, to) {
+    if (to == null) to = this.size
+    if (from == 0 && to == this.size) return this
+    if (to <= from) return Fragment.empty
+    let start = locate(this.tree, from), end = locate(this.tree, to - 1)
+    let result = this.cutByIndex(start.index, end.index + 1), last = result.childCount - 1
+    if (last) result = result.replaceChild(last, cutChild(result.lastChild, end.start, from, to))
+    return result.replaceChild(0, cutChild(result.firstChild, start.start, from, to))
+  }
+
+  cutByIndex(from, to) {
+    if (from == to) return Fragment.empty
+    if (from == 0 && to == this.tree.length) return this
+    return fragmentFromTree(sliceTree(this.tree, from, to))
+  }
+
+  replaceChild(index, node) {
+    if (this.child(index) == node) return this
+    return new TreeFragment(replaceInTree(this.tree, index, node))
+  }
+
+  addToStart(node) {
+    return new TreeFragment(concatTrees(buildTree([node]), this.tree))
+  }
+
+  addToEnd(node) {
+    return new TreeFragment(concatTrees(this.tree, buildTree([node])))
+  }
+
+  eq(other) {
+    if (this == other) return true
+    if (this.tree.length != other.childCount || knownDifferent(this, other)) return false
+    return eachNodeBetween(this.tree, 0, this.size, (node, _, index) => node.eq(other.child(index)))
+  }
+
+  get hash() {
+    if (this.hashCache == null) {
+      let hash = hashInt(hashStart, this.tree.length)
+      eachNodeBetween(this.tree, 0, this.size, node => { hash = hashInt(hash, node.hash) })
+      this.hashCache = hash >>> 0
+    }
+    return this.hashCache
+  }
+
+  get firstChild() { return nodeAt(this.tree, 0) }
+
+  get lastChild() { return nodeAt(this.tree, this.tree.length - 1) }
+
+  get childCount() { return this.tree.length }
+
+  child(index) {
+    if (!(index >= 0 && index < this.tree.length)) throw new RangeError("Index " + index + " out of range for " + this)
+    return nodeAt(this.tree, index)
+  }
+
+  maybeChild(index) {
+    return index >= 0 && index < this.tree.length ? nodeAt(this.tree, index) : undefined
+  }
+
+  forEach(f) {
+    eachNodeBetween(this.tree, 0, this.size, (node, pos, index) => { f(node, pos, index) })
+  }
+
+  toStringInner() {
+    let parts = []
+    this.forEach(node => { parts.push(node.toString()) })
+    return parts.join(", ")
+  }
+
+  toJSON() {
+    let json = []
+    this.forEach(node => { json.push(node.toJSON()) })
+    return json
+  }
+
+  findIndex(pos, round = -1) {
+    if (pos == 0) return retIndex(0, pos)
+    if (pos == this.size) return retIndex(this.tree.length, pos)
+    if (pos > this.size || pos < 0) throw new RangeError(`Position ${pos} outside of fragment (${this})`)
+    let {index, start} = locate(this.tree, pos)
+    if (start == pos || round <= 0) return retIndex(index, start)
+    return retIndex(index + 1, start + nodeAt(this.tree, index).nodeSize)
+  }
+}
+
+function fragmentFromArray(content, size) {
+  return content.length > maxFlatChildren ? new TreeFragment(buildTree(content)) : new Fragment(content, size)
+}
+
+function fragmentFromTree(tree) {
+  return tree.length > maxFlatChildren ? new TreeFragment(tree) : new Fragment(flattenTree(tree, []), tree.size)
+}
+
+function treeOf(fragment) {
+  return fragment instanceof TreeFragment ? fragment.tree : buildTree(fragment.content)
+}
+
+// Concatenate two non-empty fragments, at least one of which is
+// large, joining adjacent text nodes with the same markup.
+function joinFragments(a, b) {
+  let last = a.lastChild, first = b.firstChild
+  if (last.isText && last.sameMarkup(first)) {
+    a = a.replaceChild(a.childCount - 1, last.appendText(first))
+    b = b.cutByIndex(1, b.childCount)
+    if (!b.size) return a
+  }
+  return fragmentFromTree(concatTrees(treeOf(a), treeOf(b)))
+}
+
+function cutChild(child, pos, from, to) {
+  if (child.isText)
+    return child.cut(Math.max(0, from - pos), Math.min(child.nodeSize, to - pos))
+  return child.cut(Math.max(0, from - pos - 1), Math.min(child.content.size, to - pos - 1))
+}
+
 // :: Fragment
 // An empty fragment. Intended to be reused whenever a node doesn't
 // contain anything (rather than allocating a new empty fragment for
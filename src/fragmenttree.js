@@ -0,0 +1,175 @@
+// Fragments with many children store them in a persistent balanced
+// tree of chunks, so that looking up children and positions, and
+// updating the fragment, don't take time linear in the child count.
+//
+// Chunks of height 0 hold document nodes, chunks of a greater height
+// hold chunks one level lower. All node-holding chunks sit at the
+// same depth, and no chunk holds more than `maxChunk` children. Every
+// chunk caches the size and child count of the content it covers.
+
+const maxChunk = 32
+
+class Chunk {
+  constructor(children, height) {
+    this.children = children
+    this.height = height
+    let size = 0, length = 0
+    if (height) {
+      for (let i = 0; i < children.length; i++) {
+        size += children[i].size
+        length += children[i].length
+      }
+    } else {
+      for (let i = 0; i < children.length; i++) size += children[i].nodeSize
+      length = children.length
+    }
+    // The total size of the nodes in this chunk.
+    this.size = size
+    // The number of nodes in this chunk.
+    this.length = length
+  }
+}
+
+// : ([Node]) → Chunk
+// Build a tree from a non-empty array of nodes.
+export function buildTree(nodes) {
+  let chunks = group(nodes, 0)
+  for (let height = 1; chunks.length > 1; height++) chunks = group(chunks, height)
+  return chunks[0]
+}
+
+// Split an array into evenly sized chunks.
+function group(items, height) {
+  let count = Math.ceil(items.length / maxChunk), result = []
+  for (let i = 0; i < count; i++) {
+    let start = Math.floor(i * items.length / count), end = Math.floor((i + 1) * items.length / count)
+    result.push(new Chunk(items.slice(start, end), height))
+  }
+  return result
+}
+
+// : (Chunk, [Node]) → [Node]
+// Append the nodes in a tree to an array.
+export function flattenTree(chunk, target) {
+  if (!chunk.height) {
+    for (let i = 0; i < chunk.children.length; i++) target.push(chunk.children[i])
+  } else {
+    for (let i = 0; i < chunk.children.length; i++) flattenTree(chunk.children[i], target)
+  }
+  return target
+}
+
+// : (Chunk, number) → Node
+export function nodeAt(chunk, index) {
+  while (chunk.height) {
+    for (let i = 0;; i++) {
+      let child = chunk.children[i]
+      if (index < child.length) { chunk = child; break }
+      index -= child.length
+    }
+  }
+  return chunk.children[index]
+}
+
+// : (Chunk, number) → {index: number, start: number}
+// Find the node that covers the given position, which must be less
+// than the size of the tree, returning its index and start position.
+export function locate(chunk, pos) {
+  let index = 0, start = 0
+  while (chunk.height) {
+    for (let i = 0;; i++) {
+      let child = chunk.children[i]
+      if (pos < start + child.size) { chunk = child; break }
+      start += child.size
+      index += child.length
+    }
+  }
+  for (let i = 0;; i++) {
+    let end = start + chunk.children[i].nodeSize
+    if (pos < end) return {index: index + i, start}
+    start = end
+  }
+}
+
+// : (Chunk, number, number, (node: Node, pos: number, index: number) → ?bool, ?number, ?number) → bool
+// Call `f` for the nodes that overlap the given range, in order.
+// Stops, and returns false, when `f` returns false.
+export function eachNodeBetween(chunk, from, to, f, start = 0, index = 0) {
+  for (let i = 0; i < chunk.children.length && start < to; i++) {
+    let child = chunk.children[i]
+    if (chunk.height) {
+      let end = start + child.size
+      if (end > from && !eachNodeBetween(child, from, to, f, start, index)) return false
+      start = end
+      index += child.length
+    } else {
+      let end = start + child.nodeSize
+      if (end > from && f(child, start, index) === false) return false
+      start = end
+      index++
+    }
+  }
+  return true
+}
+
+// : (Chunk, number, Node) → Chunk
+// Create a copy of the tree with the node at the given index
+// replaced.
+export function replaceInTree(chunk, index, node) {
+  let children = chunk.children.slice()
+  if (!chunk.height) {
+    children[index] = node
+  } else {
+    for (let i = 0;; i++) {
+      let child = children[i]
+      if (index < child.length) { children[i] = replaceInTree(child, index, node); break }
+      index -= child.length
+    }
+  }
+  return new Chunk(children, chunk.height)
+}
+
+// : (Chunk, number, number) → Chunk
+// Get a tree holding the nodes between the given (non-equal)
+// indices. Reuses the chunks that are entirely inside the range.
+export function sliceTree(chunk, from, to) {
+  if (from == 0 && to == chunk.length) return chunk
+  if (!chunk.height) return new Chunk(chunk.children.slice(from, to), 0)
+  let result = null
+  for (let i = 0, pos = 0; i < chunk.children.length && pos < to; i++) {
+    let child = chunk.children[i], end = pos + child.length
+    if (end > from) {
+      let part = sliceTree(child, Math.max(0, from - pos), Math.min(child.length, to - pos))
+      result = result ? concatTrees(result, part) : part
+    }
+    pos = end
+  }
+  return result
+}
+
+// : (Chunk, Chunk) → Chunk
+// Create a tree holding the nodes of `a` followed by those of `b`.
+export function concatTrees(a, b) {
+  let parts = join(a, b)
+  return parts.length == 1 ? parts[0] : new Chunk(parts, parts[0].height + 1)
+}
+
+// Join two chunks, producing one or two chunks with the height of
+// the highest of them. The lower chunk is merged into the chunk at
+// its own height along the near edge of the other one.
+function join(a, b) {
+  if (a.height == b.height) return balance(a.children.concat(b.children), a.height)
+  if (a.height > b.height) {
+    let children = a.children.slice(), last = children.pop()
+    return balance(children.concat(join(last, b)), a.height)
+  } else {
+    let children = b.children.slice(), first = children.shift()
+    return balance(join(a, first).concat(children), b.height)
+  }
+}
+
+function balance(children, height) {
+  if (children.length <= maxChunk) return [new Chunk(children, height)]
+  let half = children.length >> 1
+  return [new Chunk(children.slice(0, half), height), new Chunk(children.slice(half), height)]
+}
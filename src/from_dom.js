@@ -682,7 +682,7 @@ class ParseContext {
       this.closeExtra()
       let top = this.top
       top.applyPending(node.type)
-      if (top.match) top.match = top.match.matchType(node.type)
+      if (top.match) top.match = top.match.matchType(node.type, node.attrs)
       let marks = top.activeMarks
       for (let i = 0; i < node.marks.length; i++)
         if (!top.type || top.type.allowsMarkType(node.marks[i].type))
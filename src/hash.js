@@ -0,0 +1,51 @@
+// Content hashes are 32-bit FNV-1a hashes. Values that are equal
+// under `compareDeep` (so objects with the same properties in a
+// different order) always hash the same.
+
+export const hashStart = 0x811c9dc5
+
+// : (number, string) → number
+export function hashString(hash, string) {
+  for (let i = 0; i < string.length; i++) {
+    let ch = string.charCodeAt(i)
+    hash = Math.imul(hash ^ (ch & 0xff), 0x01000193)
+    hash = Math.imul(hash ^ (ch >> 8), 0x01000193)
+  }
+  return hash
+}
+
+// : (number, number) → number
+// Mix a 32-bit number, such as the hash of a child, into a hash.
+export function hashInt(hash, value) {
+  for (let i = 0; i < 4; i++) {
+    hash = Math.imul(hash ^ (value & 0xff), 0x01000193)
+    value >>>= 8
+  }
+  return hash
+}
+
+// : (number, any) → number
+// Hash a JSON-style value, such as a set of attributes.
+export function hashValue(hash, value) {
+  if (Array.isArray(value)) {
+    hash = hashString(hash, "[" + value.length)
+    for (let i = 0; i < value.length; i++) hash = hashValue(hash, value[i])
+    return hash
+  }
+  if (value && typeof value == "object") {
+    let keys = Object.keys(value).sort()
+    hash = hashString(hash, "{" + keys.length)
+    for (let i = 0; i < keys.length; i++) hash = hashValue(hashString(hash, keys[i]), value[keys[i]])
+    return hash
+  }
+  return hashString(hash, typeof value + ":" + String(value))
+}
+
+// : (Object, Object) → bool
+// Tells whether two hashed objects are known to differ because both
+// have already computed their hash, and those hashes aren't equal.
+// Never computes hashes itself, so that it doesn't make `eq` slower
+// for objects that aren't hashed.
+export function knownDifferent(a, b) {
+  return a.hashCache != null && b.hashCache != null && a.hashCache != b.hashCache
+}
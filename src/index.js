@@ -1,8 +1,9 @@
 export {Node} from "./node"
-export {ResolvedPos, NodeRange} from "./resolvedpos"
+export {ResolvedPos, NodeRange, IndexPath} from "./resolvedpos"
 export {Fragment} from "./fragment"
 export {Slice, ReplaceError} from "./replace"
 export {Mark} from "./mark"
+export {TextMap} from "./textmap"
 
 export {Schema, NodeType, MarkType} from "./schema"
 export {ContentMatch} from "./content"
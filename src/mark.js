@@ -1,4 +1,5 @@
 import {compareDeep} from "./comparedeep"
+import {hashStart, hashString, hashValue, knownDifferent} from "./hash"
 
 // ::- A mark is a piece of information that can be attached to a node,
 // such as it being emphasized, in code font, or a link. It has a type
@@ -21,6 +22,8 @@ export class Mark {
     // 
     // @cn 与此 mark 相关的 attributes。
     this.attrs = attrs
+    // : ?number
+    this.hashCache = null
   }
 
   // :: ([Mark]) → [Mark]
@@ -84,7 +87,18 @@ export class Mark {
   // @cn 测试当前 mark 与给定 mark 是否有相同的类型和 attributes。
   eq(other) {
     return this == other ||
-      (this.type == other.type && compareDeep(this.attrs, other.attrs))
+      (this.type == other.type && !knownDifferent(this, other) && compareDeep(this.attrs, other.attrs))
+  }
+
+  // :: number
+  // A hash of the mark's type and attributes. Marks that are
+  // [equal](#model.Mark.eq) always have the same hash.
+  //
+  // @cn 当前 mark 的类型和 attributes 的哈希值。[相等](#model.Mark.eq) 的 marks 总是有相同的哈希值。
+  get hash() {
+    if (this.hashCache == null)
+      this.hashCache = hashValue(hashString(hashStart, this.type.name), this.attrs) >>> 0
+    return this.hashCache
   }
 
   // :: () → Object
@@ -1,8 +1,13 @@
 import {Fragment} from "./fragment"
 import {Mark} from "./mark"
 import {Slice, replace} from "./replace"
+import {repair} from "./repair"
+import {query} from "./query"
+import {findText} from "./search"
 import {ResolvedPos} from "./resolvedpos"
 import {compareDeep} from "./comparedeep"
+import {hashStart, hashString, hashInt, hashValue, knownDifferent} from "./hash"
+import {ropeFrom, ropeToString, concatRopes, sliceRope} from "./rope"
 
 const emptyAttrs = Object.create(null)
 
@@ -55,6 +60,9 @@ export class Node {
     //
     // @cn 应用到当前节点的 marks（marks 是一些类似于加粗或者链接一样的节点）
     this.marks = marks || Mark.none
+
+    // : ?number
+    this.hashCache = null
   }
 
   // text:: ?string
@@ -129,6 +137,31 @@ export class Node {
     this.nodesBetween(0, this.content.size, f)
   }
 
+  // :: (string) → [{node: Node, pos: number}]
+  // Find the descendants of this node that match a CSS-like
+  // selector, in document order. Positions are relative to the start
+  // of this node's content, as in [`descendants`](#model.Node.descendants).
+  //
+  // Selectors consist of node type or group names (or `*` for any
+  // node), optionally followed by attribute tests like `[level]`,
+  // `[level=2]`, or `[colspan>1]` (supporting `=`, `!=`, `<`, `>`,
+  // `<=`, `>=`, and, for strings, `^=`, `$=`, and `*=`), and mark tests
+  // like `:mark(link)`, which take a mark type or group name. They can
+  // be combined with `>` for children and whitespace for descendants,
+  // as in `table > table_row > table_cell[colspan>1]`, and a leading
+  // `>` matches only direct children of this node. Alternatives are
+  // separated by commas. Unknown names raise a `SyntaxError`.
+  //
+  // @cn 按照文档顺序找到当前节点中匹配一个类似 CSS 的选择器的后代节点。位置是相对于当前节点内容的开头，和 [`descendants`](#model.Node.descendants) 一样。
+  //
+  // @cn 选择器由节点类型名或 group 名（或者用 `*` 表示任意节点）组成，其后可以跟着 attribute 测试，比如 `[level]`、`[level=2]` 或者 `[colspan>1]`
+  // （支持 `=`、`!=`、`<`、`>`、`<=`、`>=`，对于字符串还支持 `^=`、`$=` 和 `*=`），以及 mark 测试，比如 `:mark(link)`，其接受一个 mark 类型名或 group 名。
+  // 它们可以用 `>` 组合表示子节点，用空白组合表示后代节点，比如 `table > table_row > table_cell[colspan>1]`，开头的 `>` 表示只匹配当前节点的直接子节点。
+  // 多个选择器之间用逗号分隔。未知的名字会抛出一个 `SyntaxError`。
+  query(selector) {
+    return query(this.content, this, selector)
+  }
+
   // :: string
   // Concatenates all the text nodes found in this fragment and its
   // children.
@@ -148,6 +181,45 @@ export class Node {
     return this.content.textBetween(from, to, blockSeparator, leafText)
   }
 
+  // :: (number, number, ?string, ?string) → TextMap
+  // Get the same text as [`textBetween`](#model.Node.textBetween),
+  // along with a mapping that can be used to convert offsets in that
+  // text to positions in this node (and back), for example to find
+  // the document range of a word found in the text.
+  //
+  // @cn 获取与 [`textBetween`](#model.Node.textBetween) 相同的文本，以及一个可以用来将该文本中的偏移量转换为当前节点中的位置（或者反过来）的映射，
+  // 比如用来找到在文本中找到的一个单词在文档中的范围。
+  textMapBetween(from, to, blockSeparator, leafText) {
+    return this.content.textMapBetween(from, to, blockSeparator, leafText)
+  }
+
+  // :: (union<string, RegExp>, ?{leafText: ?union<string, (Node) → ?string>, marks: ?union<MarkType, (marks: [Mark]) → bool>}) → [{from: number, to: number, text: string, match: [string]}]
+  // Search the inline content of the textblocks in this node (or of
+  // this node itself, if it is a textblock) for a string or regular
+  // expression. Matches may span several text nodes, and are
+  // returned as position ranges relative to the start of this node's
+  // content, along with the matched text and the result of
+  // `RegExp.exec` (for access to groups).
+  //
+  // Inline leaf nodes are represented by `leafText`, which defaults
+  // to U+FFFC (object replacement character). It may be a function
+  // that computes the text for a given node. When it is (or returns)
+  // the empty string, leaves are left out of the searched text, and
+  // when it is null, they separate the text into parts that are
+  // searched separately. `marks` can be used to only return matches
+  // in which all text has a given mark type, or whose marks pass a
+  // predicate.
+  //
+  // @cn 在当前节点中的文本块（如果当前节点自身就是一个文本块，则是其自身）的内联内容中搜索一个字符串或者正则表达式。匹配可能跨越多个文本节点，
+  // 返回的结果是相对于当前节点内容开头的位置范围，以及匹配到的文本和 `RegExp.exec` 的结果（用来访问分组）。
+  //
+  // @cn 内联的叶子节点用 `leafText` 表示，默认是 U+FFFC（对象替换字符）。它可以是一个为给定节点计算文本的函数。
+  // 如果它是（或者返回了）空字符串，叶子节点会被排除在搜索的文本之外；如果它是 null，则它们会将文本分隔成几个被分别搜索的部分。
+  // `marks` 可以用来只返回那些所有文本都具有某个 mark 类型，或者其 marks 可以通过一个判断函数的匹配。
+  findText(pattern, options) {
+    return findText(this, pattern, options)
+  }
+
   // :: ?Node
   // Returns this node's first child, or `null` if there are no
   // children.
@@ -171,7 +243,28 @@ export class Node {
   //
   // @comment markup 指的是节点类型、节点 attributes、和其上的 marks。
   eq(other) {
-    return this == other || (this.sameMarkup(other) && this.content.eq(other.content))
+    return this == other || (!knownDifferent(this, other) && this.sameMarkup(other) && this.content.eq(other.content))
+  }
+
+  // :: number
+  // A hash of the node's type, attributes, marks, and content (or
+  // text). Nodes that are [equal](#model.Node.eq) always have the same
+  // hash, so a differing hash means two nodes differ. The reverse
+  // isn't true—different nodes may, rarely, share a hash—so use `eq`
+  // to confirm a match. The hash is computed on first access and then
+  // stored on the node, and is stable between sessions, so it can be
+  // used as a key for external caches.
+  //
+  // @cn 一个由节点的类型、attributes、marks 和内容（或者文本）计算出的哈希值。[相等](#model.Node.eq) 的节点总是有相同的哈希值，因此哈希值不同就意味着两个节点不同。
+  // 反之则不成立——不同的节点可能（很少）有相同的哈希值——因此需要用 `eq` 来确认是否相等。哈希值会在第一次访问的时候计算然后保存在节点上，
+  // 且在不同会话之间是稳定的，因此可以被用作外部缓存的键。
+  get hash() {
+    if (this.hashCache == null) {
+      let hash = hashValue(hashString(hashStart, this.type.name), this.attrs)
+      for (let i = 0; i < this.marks.length; i++) hash = hashInt(hash, this.marks[i].hash)
+      this.hashCache = (this.isText ? hashString(hash, this.text) : hashInt(hash, this.content.hash)) >>> 0
+    }
+    return this.hashCache
   }
 
   // :: (Node) → bool
@@ -440,17 +533,117 @@ export class Node {
   check() {
     if (!this.type.validContent(this.content))
       throw new RangeError(`Invalid content for node ${this.type.name}: ${this.content.toString().slice(0, 50)}`)
+    this.type.checkAttrs(this.attrs)
     let copy = Mark.none
-    for (let i = 0; i < this.marks.length; i++) copy = this.marks[i].addToSet(copy)
+    for (let i = 0; i < this.marks.length; i++) {
+      this.marks[i].type.checkAttrs(this.marks[i].attrs)
+      copy = this.marks[i].addToSet(copy)
+    }
     if (!Mark.sameSet(copy, this.marks))
       throw new RangeError(`Invalid collection of marks for node ${this.type.name}: ${this.marks.map(m => m.type.name)}`)
     this.content.forEach(node => node.check())
   }
 
+  // :: () → [{pos: ?number, node: Node, kind: string, message: string}]
+  // Check this node and its descendants against the schema, and
+  // return a list of all problems found, in document order, rather
+  // than raising an error on the first one. `pos` is the position of
+  // the offending node relative to the start of this node's content
+  // (or null for this node itself). `kind` is one of
+  // `"invalidContent"` (with an `index` property pointing at the
+  // first child that doesn't fit, which equals the child count when
+  // the content ends too early), `"disallowedMark"` (with a `mark`
+  // property holding a mark the parent node doesn't allow),
+  // `"badMarkOrder"` (when the node's marks don't form a valid
+  // [set](#model.Mark.addToSet)), or `"missingAttr"` and
+  // `"invalidAttr"` (with an `attr` property holding the attribute's
+  // name, and a `mark` property when it is a mark's attribute).
+  //
+  // @cn 检查当前节点和它的所有后代是否符合 schema，然后返回一个包含所有发现的问题的列表（以文档顺序），而不是在遇到第一个问题的时候就抛出错误。
+  // `pos` 是出问题的节点相对于当前节点内容开始位置的位置（对于当前节点自身则为 null）。`kind` 是 `"invalidContent"`（带有一个 `index` 属性，
+  // 指向第一个不匹配的子节点，如果内容过早结束则等于子节点数量）、`"disallowedMark"`（带有一个 `mark` 属性，保存父节点不允许的 mark）、
+  // `"badMarkOrder"`（当节点的 marks 没有组成一个合法的 [集合](#model.Mark.addToSet) 时），或者 `"missingAttr"` 和 `"invalidAttr"`
+  // （带有一个 `attr` 属性保存 attribute 的名字，如果是一个 mark 的 attribute，则还会有一个 `mark` 属性）中的一个。
+  validate() {
+    let problems = []
+    validateNode(this, null, null, problems)
+    return problems
+  }
+
+  // :: (?[{kind: string, pos: number, node: Node, parent: Node}]) → Node
+  // Create a version of this node that conforms to the schema.
+  // Children are repaired before their parents. Marks that a parent
+  // doesn't allow are dropped, and invalid mark sets are normalized.
+  // Children that don't fit their parent's content expression are,
+  // in order of preference, preceded by generated filler nodes,
+  // wrapped (together with any following siblings that fit in the
+  // wrapper) in new nodes, split out of a textblock parent (when they
+  // are blocks, so that they end up next to it), replaced by their
+  // own content, or dropped. Missing required content is filled in.
+  // Returns the node itself when it is already valid.
+  //
+  // When `changes` is given, a description of each edit is pushed
+  // onto it. Its `kind` is one of `"marks"`, `"fill"`, `"wrap"`,
+  // `"split"`, `"unwrap"`, or `"drop"`, `pos` the position (relative
+  // to the start of this node's content, in the original node) of
+  // the content it applies to, `node` the node that was inserted,
+  // changed, or removed, and `parent` the (original) node in which
+  // the edit happened.
+  //
+  // @cn 创建一个当前节点符合 schema 约束的版本。子节点会在它们的父节点之前被修复。父节点不允许的 marks 会被丢弃，不合法的 marks 集合会被规范化。
+  // 不符合其父节点内容表达式的子节点，按优先顺序会被：在前面插入生成的填充节点、被包裹（连同后面能放入包裹节点的兄弟节点）到新的节点中、
+  // 从一个文本块父节点中拆分出来（如果它们是块级节点的话，这样它们会最终位于父节点旁边）、被它们自己的内容替换，或者被丢弃。缺失的必须内容会被填充。
+  // 如果该节点已经是合法的，则返回节点自身。
+  //
+  // 如果给定了 `changes`，则每一次编辑的描述都会被添加到其中。其 `kind` 是 `"marks"`、`"fill"`、`"wrap"`、`"split"`、`"unwrap"` 或者 `"drop"` 中的一个，
+  // `pos` 是编辑所作用的内容的位置（相对于原节点内容的开始位置），`node` 是被插入、修改或者移除的节点，`parent` 是编辑发生所在的（原始的）节点。
+  repair(changes) {
+    return repair(this, changes)
+  }
+
+  // :: ((node: Node, pos: ?number, parent: Node, index: number) → union<Node, Fragment, [Node], null, undefined, bool>, ?{order: ?string, check: ?bool}) → Node
+  // Create a copy of this node in which descendants are rewritten by
+  // `f`. The callback may return a replacement node, a fragment or
+  // array of nodes to put in its place, `null` to delete the node, or
+  // `undefined` to leave it as it is. Adjacent text nodes with the
+  // same marks are joined in the result, and subtrees in which
+  // nothing changed are reused, so that if `f` changes nothing, this
+  // node itself is returned.
+  //
+  // By default, nodes are visited bottom-up (`order: "post"`), so
+  // that `f` receives nodes whose content has already been rewritten.
+  // With `order: "pre"`, nodes are visited before their content, and
+  // the content of the nodes returned by `f` is visited afterwards.
+  // In that mode, returning `false` keeps a node without visiting its
+  // content. Positions refer to the original node, relative to the
+  // start of this node's content. The content of nodes returned by
+  // `f` has no place in the original node, so its nodes get null as
+  // their position. When `f` returns the node it was called with, the
+  // first occurrence of that node keeps its positions. When `check`
+  // is true, the result is
+  // [checked](#model.Node.check) against the schema.
+  //
+  // @cn 创建一个当前节点的拷贝，其后代节点会被 `f` 重写。回调函数可以返回一个用来替换的节点、一个放在其位置上的 fragment 或者节点数组、
+  // `null` 表示删除该节点，或者 `undefined` 表示保持不变。结果中相邻的具有相同 marks 的文本节点会被合并，并且没有任何变化的子树会被复用，
+  // 因此如果 `f` 没有修改任何东西，则会返回当前节点自身。
+  //
+  // @cn 默认情况下，节点以自底向上的顺序被访问（`order: "post"`），因此 `f` 接收到的节点的内容已经被重写过了。如果设置 `order: "pre"`，
+  // 节点会在其内容之前被访问，`f` 返回的节点的内容会在之后被访问。在该模式下，返回 `false` 会保留该节点，并且不访问其内容。
+  // 位置指的是原始节点中的位置，相对于当前节点内容的开头。`f` 返回的节点的内容在原始节点中没有对应的位置，因此其中的节点收到的位置是 null。如果 `f` 返回了调用它时传入的节点，则该节点的第一次出现会保留其位置。
+  // 如果 `check` 为 true，结果会针对 schema 进行[检查](#model.Node.check)。
+  transformDescendants(f, options = {}) {
+    let content = transformFragment(this.content, 0, this, f, options.order == "pre")
+    let result = content == this.content ? this : this.copy(content)
+    if (options.check) result.check()
+    return result
+  }
+
   // :: () → Object
-  // Return a JSON-serializeable representation of this node.
+  // Return a JSON-serializeable representation of this node. When
+  // the schema has a [version](#model.SchemaSpec.version), the
+  // representation of nodes of its top node type includes it.
   //
-  // @cn 返回一个当前节点 JSON 序列化的表示。
+  // @cn 返回一个当前节点 JSON 序列化的表示。如果 schema 有一个 [版本号](#model.SchemaSpec.version)，则其顶级节点类型的节点的表示中会包含它。
   //
   // @comment 不像我们认为的 JSON 序列化后与 `stringify` 过一样是个字符串，这里的序列化后是个对象。
   toJSON() {
@@ -463,15 +656,40 @@ export class Node {
       obj.content = this.content.toJSON()
     if (this.marks.length)
       obj.marks = this.marks.map(n => n.toJSON())
+    let version = this.type.schema.spec.version
+    if (version != null && this.type == this.type.schema.topNodeType)
+      obj.version = version
     return obj
   }
 
-  // :: (Schema, Object) → Node
-  // Deserialize a node from its JSON representation.
+  // :: (Schema, Object, ?JSONParseOptions) → Node
+  // Deserialize a node from its JSON representation. JSON stamped
+  // with an older version is [migrated](#model.Schema.migrateJSON)
+  // first. Schemas without a version ignore version stamps. By
+  // default, unknown node or mark types cause an error to be raised.
+  // When `options.lenient` is true, the node is deserialized in
+  // lenient mode, which handles those as described by the options,
+  // and then [repairs](#model.Node.repair) the result, so that
+  // replacing unknown nodes can't produce content that doesn't fit
+  // the schema.
   // 
-  // @cn 从一个节点 JSON 序列化的对象中反序列化出 Node 节点。
-  static fromJSON(schema, json) {
+  // @cn 从一个节点 JSON 序列化的对象中反序列化出 Node 节点。带有更早版本号的 JSON 会先被 [迁移](#model.Schema.migrateJSON)。
+  // 没有版本号的 schema 会忽略版本号标记。默认情况下，未知的节点或者 mark 类型会导致抛出一个错误。如果 `options.lenient` 为 true，则节点会以宽松模式反序列化，按照配置对象的描述处理这些未知类型，
+  // 然后 [修复](#model.Node.repair) 结果，这样替换未知节点就不会产生不符合 schema 的内容。
+  static fromJSON(schema, json, options) {
     if (!json) throw new RangeError("Invalid input for Node.fromJSON")
+    if (json.version != null && schema.spec.version != null && json.version !== schema.spec.version)
+      json = schema.migrateJSON(json, json.version)
+    if (options && options.lenient) {
+      let nodes = lenientFromJSON(schema, json, options)
+      if (nodes.length != 1) throw new RangeError(`Can't ${nodes.length ? "unwrap" : "drop"} the top node in Node.fromJSON`)
+      let repairs = options.changes ? [] : null, result = nodes[0].repair(repairs)
+      if (repairs) for (let i = 0; i < repairs.length; i++) {
+        let {kind, pos, node, parent} = repairs[i]
+        options.changes.push({kind: "repair", action: kind, pos, node, parent})
+      }
+      return result
+    }
     let marks = null
     if (json.marks) {
       if (!Array.isArray(json.marks)) throw new RangeError("Invalid mark data for Node.fromJSON")
@@ -492,7 +710,8 @@ export class TextNode extends Node {
 
     if (!content) throw new RangeError("Empty text nodes are not allowed")
 
-    this.text = content
+    // Rope-backed nodes pass a rope, and provide `text` through a getter.
+    if (typeof content == "string") this.text = content
   }
 
   toString() {
@@ -512,7 +731,16 @@ export class TextNode extends Node {
 
   withText(text) {
     if (text == this.text) return this
-    return new TextNode(this.type, this.attrs, text, this.marks)
+    return createText(this.type, this.attrs, text, this.marks)
+  }
+
+  // : (TextNode) → TextNode
+  // Create a text node with this node's markup holding the text of
+  // this node followed by that of `other`. (Not public.)
+  appendText(other) {
+    if (this.type.spec.rope && this.nodeSize + other.nodeSize >= minRopeLength)
+      return new RopeTextNode(this.type, this.attrs, concatRopes(textRope(this), textRope(other)), this.marks)
+    return this.withText(this.text + other.text)
   }
 
   cut(from = 0, to = this.text.length) {
@@ -521,7 +749,7 @@ export class TextNode extends Node {
   }
 
   eq(other) {
-    return this.sameMarkup(other) && this.text == other.text
+    return !knownDifferent(this, other) && this.sameMarkup(other) && this.text == other.text
   }
 
   toJSON() {
@@ -531,6 +759,211 @@ export class TextNode extends Node {
   }
 }
 
+// Text nodes of a type that has its `rope` spec property set use a
+// rope to store text at least this long.
+const minRopeLength = 1024
+
+// A text node that stores its text in a rope (see rope.js). The text
+// is only converted to a string when something reads `text`.
+class RopeTextNode extends TextNode {
+  constructor(type, attrs, rope, marks) {
+    super(type, attrs, rope, marks)
+    this.rope = rope
+    this.textCache = null
+  }
+
+  get text() {
+    return this.textCache == null ? (this.textCache = ropeToString(this.rope)) : this.textCache
+  }
+
+  textBetween(from = 0, to = this.rope.length) { return ropeToString(sliceRope(this.rope, from, to)) }
+
+  get nodeSize() { return this.rope.length }
+
+  mark(marks) {
+    return marks == this.marks ? this : new RopeTextNode(this.type, this.attrs, this.rope, marks)
+  }
+
+  cut(from = 0, to = this.rope.length) {
+    if (from == 0 && to == this.rope.length) return this
+    return createText(this.type, this.attrs, sliceRope(this.rope, from, to), this.marks)
+  }
+
+  eq(other) {
+    return (this.rope == other.rope && this.sameMarkup(other)) || super.eq(other)
+  }
+}
+
+function textRope(node) {
+  return node.rope || ropeFrom(node.text)
+}
+
+// : (NodeType, Object, union<string, Rope>, [Mark]) → TextNode
+// Create a text node, using a rope when the type asks for it and the
+// text is long enough.
+export function createText(type, attrs, text, marks) {
+  if (type.spec.rope && text.length >= minRopeLength)
+    return new RopeTextNode(type, attrs, typeof text == "string" ? ropeFrom(text) : text, marks)
+  return new TextNode(type, attrs, typeof text == "string" ? text : ropeToString(text), marks)
+}
+
+function transformFragment(fragment, start, parent, f, pre) {
+  let out = [], changed = false
+  fragment.forEach((child, offset, index) => {
+    let pos = start == null ? null : start + offset, result
+    if (pre) {
+      result = f(child, pos, parent, index)
+      if (result === false) {
+        result = child
+      } else {
+        result = replacementNodes(result === undefined ? child : result)
+          .map((node, i, nodes) => transformChildren(node, nodes.indexOf(child) == i ? pos : null, f, pre))
+      }
+    } else {
+      let inner = transformChildren(child, pos, f, pre)
+      result = f(inner, pos, parent, index)
+      if (result === undefined || result === false) result = inner
+    }
+    result = replacementNodes(result)
+    if (result.length != 1 || result[0] != child) changed = true
+    for (let i = 0; i < result.length; i++) out.push(result[i])
+  })
+  return changed ? Fragment.fromArray(out) : fragment
+}
+
+function transformChildren(node, pos, f, pre) {
+  if (!node.content.size) return node
+  let content = transformFragment(node.content, pos == null ? null : pos + 1, node, f, pre)
+  return content == node.content ? node : node.copy(content)
+}
+
+function replacementNodes(value) {
+  if (value == null) return []
+  if (value instanceof Fragment) return value.content
+  if (Array.isArray(value)) return value
+  return [value]
+}
+
+function validateNode(node, pos, parent, problems) {
+  function report(kind, message, props) {
+    let problem = {pos, node, kind, message}
+    for (let prop in props) problem[prop] = props[prop]
+    problems.push(problem)
+  }
+
+  node.type.attrProblems(node.attrs).forEach(p => report(p.kind, p.message, {attr: p.attr}))
+  let copy = Mark.none
+  for (let i = 0; i < node.marks.length; i++) {
+    let mark = node.marks[i]
+    mark.type.attrProblems(mark.attrs).forEach(p => report(p.kind, p.message, {attr: p.attr, mark}))
+    if (parent && !parent.type.allowsMarkType(mark.type))
+      report("disallowedMark", `Mark ${mark.type.name} is not allowed in node ${parent.type.name}`, {mark})
+    copy = mark.addToSet(copy)
+  }
+  if (!Mark.sameSet(copy, node.marks))
+    report("badMarkOrder", `Invalid collection of marks for node ${node.type.name}: ${node.marks.map(m => m.type.name)}`)
+
+  let match = node.type.contentMatch, index = 0
+  for (; index < node.childCount; index++) {
+    let child = node.child(index), next = match.matchType(child.type, child.attrs)
+    if (!next) break
+    match = next
+  }
+  if (index < node.childCount)
+    report("invalidContent", `Node ${node.child(index).type.name} is not allowed at index ${index} in node ${node.type.name}`, {index})
+  else if (!match.validEnd)
+    report("invalidContent", `Content of node ${node.type.name} ends too early`, {index})
+
+  let start = pos == null ? 0 : pos + 1
+  node.forEach((child, offset) => validateNode(child, start + offset, node, problems))
+}
+
+// JSONParseOptions:: interface
+// Options for lenient [JSON deserialization](#model.Node^fromJSON).
+//
+// @cn 宽松的 [JSON 反序列化](#model.Node^fromJSON) 的配置对象。
+//
+//   lenient:: ?bool
+//   Enables lenient mode. The other options have no effect without
+//   it.
+//
+//   @cn 启用宽松模式。没有启用它的话，其他选项不会起作用。
+//
+//   unknownNodes:: ?union<string, NodeType, (json: Object) → union<string, NodeType>>
+//   Determines what happens to nodes whose type doesn't exist in the
+//   schema. `"unwrap"` (the default) replaces them with their
+//   content, `"drop"` leaves them out, and a node type (or the name of
+//   one) causes them to be replaced by a node of that type, with
+//   default attributes, holding their content. When a function, it is
+//   called with the node's JSON and should return one of those
+//   values.
+//
+//   @cn 决定那些类型不存在于 schema 中的节点如何处理。`"unwrap"`（默认）会用它们的内容替换它们，`"drop"` 会丢弃它们，
+//   一个节点类型（或者它的名字）会让它们被替换为一个该类型的节点，该节点带有默认的 attributes，并且包含它们的内容。
+//   如果是一个函数，它会以节点的 JSON 为参数被调用，然后应该返回上述值中的一个。
+//
+//   changes:: ?[{kind: string, action: string}]
+//   When given, a description of each change made to the input is
+//   pushed onto this array. `kind` is `"node"` or `"mark"`, `type`
+//   the unknown type name, `json` its JSON, and `action` one of
+//   `"drop"`, `"unwrap"`, or `"replace"`. For replacements, a
+//   `replacement` property holds the name of the node type used
+//   instead. Known nodes and marks that are lost along the way (the
+//   content of nodes replaced by a leaf type, and the marks of
+//   unwrapped nodes) are reported as dropped. Edits made when [repairing](#model.Node.repair) the
+//   result have kind `"repair"`, with the repair's kind as `action`
+//   and its `pos`, `node`, and `parent` properties.
+//
+//   @cn 如果给定，则对输入做的每一个修改的描述都会被添加到该数组中。`kind` 是 `"node"` 或者 `"mark"`，`type` 是未知的类型名，`json` 是它的 JSON，
+//   `action` 是 `"drop"`、`"unwrap"` 或者 `"replace"` 中的一个。对于替换操作，`replacement` 属性保存被用来替代的节点类型的名字。
+//   在此过程中丢失的已知节点和 marks（被替换为叶子节点类型的节点的内容，以及被展开的节点的 marks）会被报告为被丢弃。
+//   在 [修复](#model.Node.repair) 结果时所做的编辑的 kind 是 `"repair"`，`action` 是修复操作的 kind，并带有其 `pos`、`node` 和 `parent` 属性。
+
+function lenientFromJSON(schema, json, options) {
+  if (!json || typeof json != "object") throw new RangeError("Invalid input for Node.fromJSON")
+  let type = schema.nodes[json.type], change = null
+  if (!type) {
+    let action = options.unknownNodes || "unwrap"
+    if (typeof action == "function") action = action(json) || "unwrap"
+    change = {kind: "node", type: json.type, action: typeof action == "string" && (action == "drop" || action == "unwrap") ? action : "replace", json}
+    if (change.action == "replace") {
+      type = typeof action == "string" ? schema.nodeType(action) : action
+      change.replacement = type.name
+    }
+    if (options.changes) options.changes.push(change)
+    if (change.action == "drop") return []
+  }
+  let marks = null
+  if (json.marks) {
+    if (!Array.isArray(json.marks)) throw new RangeError("Invalid mark data for Node.fromJSON")
+    marks = []
+    for (let i = 0; i < json.marks.length; i++) {
+      let mark = json.marks[i]
+      // The marks of unwrapped nodes have nothing to go on
+      if (type && mark && schema.marks[mark.type]) marks.push(schema.markFromJSON(mark))
+      else if (options.changes) options.changes.push({kind: "mark", type: mark && mark.type, action: "drop", json: mark})
+    }
+  }
+  if (type && type.isText) {
+    if (typeof json.text != "string") {
+      if (change) return []
+      throw new RangeError("Invalid text node in JSON")
+    }
+    return [schema.text(json.text, marks)]
+  }
+  let content = []
+  if (json.content) {
+    if (!Array.isArray(json.content)) throw new RangeError("Invalid input for Fragment.fromJSON")
+    for (let i = 0; i < json.content.length; i++) {
+      let child = json.content[i]
+      if (!type || !type.isLeaf) content = content.concat(lenientFromJSON(schema, child, options))
+      else if (options.changes) options.changes.push({kind: "node", type: child && child.type, action: "drop", json: child})
+    }
+  }
+  if (!type) return content
+  return [type.create(change ? null : json.attrs, type.isLeaf ? null : Fragment.fromArray(content), marks)]
+}
+
 function wrapMarks(marks, str) {
   for (let i = marks.length - 1; i >= 0; i--)
     str = marks[i].type.name + "(" + str + ")"
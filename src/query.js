@@ -0,0 +1,215 @@
+// Selectors are parsed into a list of alternatives, each of which is
+// a list of steps. A step holds a compound selector (types,
+// attribute tests, and mark tests) along with the combinator that
+// connects it to the step before it.
+
+// : (Fragment, ?Node, string) → [{node: Node, pos: number}]
+// Find the descendants of a node (or the nodes in a fragment, when
+// `root` is null) that match the given selector.
+export function query(content, root, selector) {
+  let schema = root ? root.type.schema : content.firstChild && content.firstChild.type.schema
+  if (!schema) return []
+  let alternatives = parseCached(selector, schema)
+  let result = [], path = root ? [root] : []
+  collect(content, 0, path, path.length, alternatives, result)
+  return result
+}
+
+// Recently parsed selectors are kept in a small per-schema ring
+// buffer, so that repeated queries don't reparse their selector, but
+// dynamically built selectors can't make the cache grow without bound.
+const selectorCacheSize = 16
+
+function parseCached(selector, schema) {
+  let cache = schema.cached.selectors || (schema.cached.selectors = {entries: [], pos: 0})
+  for (let i = 0; i < cache.entries.length; i++)
+    if (cache.entries[i].selector == selector) return cache.entries[i].alternatives
+  let alternatives = parseSelector(selector, schema)
+  cache.entries[cache.pos] = {selector, alternatives}
+  cache.pos = (cache.pos + 1) % selectorCacheSize
+  return alternatives
+}
+
+function collect(fragment, pos, path, base, alternatives, result) {
+  fragment.forEach((child, offset) => {
+    path.push(child)
+    for (let i = 0; i < alternatives.length; i++) {
+      let steps = alternatives[i]
+      if (matchStep(steps, steps.length - 1, path, path.length - 1, base)) {
+        result.push({node: child, pos: pos + offset})
+        break
+      }
+    }
+    if (child.content.size) collect(child.content, pos + offset + 1, path, base, alternatives, result)
+    path.pop()
+  })
+}
+
+// Check whether step `i` matches the node at `index` in the path,
+// and the steps before it match its ancestors. `base` is the index of
+// the first node in the path that can be matched by a child of the
+// query root.
+function matchStep(steps, i, path, index, base) {
+  let step = steps[i]
+  if (index < 0 || !matchCompound(step, path[index])) return false
+  if (i == 0) return !step.rooted || index == base
+  if (step.combinator == ">") return matchStep(steps, i - 1, path, index - 1, base)
+  for (let j = index - 1; j >= 0; j--)
+    if (matchStep(steps, i - 1, path, j, base)) return true
+  return false
+}
+
+function matchCompound(step, node) {
+  if (step.types && step.types.indexOf(node.type) == -1) return false
+  for (let i = 0; i < step.attrs.length; i++) {
+    let {name, op, value} = step.attrs[i]
+    if (!(name in node.attrs) || !compare(node.attrs[name], op, value)) return false
+  }
+  for (let i = 0; i < step.marks.length; i++) {
+    let types = step.marks[i], found = false
+    for (let j = 0; j < node.marks.length && !found; j++)
+      if (types.indexOf(node.marks[j].type) > -1) found = true
+    if (!found) return false
+  }
+  return true
+}
+
+function compare(actual, op, value) {
+  switch (op) {
+  case null: return actual != null
+  case "=": return actual === value
+  case "!=": return actual !== value
+  case ">": return typeof actual == "number" && actual > value
+  case "<": return typeof actual == "number" && actual < value
+  case ">=": return typeof actual == "number" && actual >= value
+  case "<=": return typeof actual == "number" && actual <= value
+  case "^=": return typeof actual == "string" && actual.slice(0, value.length) == value
+  case "$=": return typeof actual == "string" && actual.length >= value.length && actual.slice(actual.length - value.length) == value
+  case "*=": return typeof actual == "string" && actual.indexOf(value) > -1
+  }
+}
+
+class SelectorStream {
+  constructor(string, schema) {
+    this.string = string
+    this.schema = schema
+    this.tokens = []
+    this.space = []
+    let re = /"(?:[^"\\]|\\.)*"|\d+(?:\.\d+)?|\w+|[<>!^$*]=|\S/g, m
+    while (m = re.exec(string)) {
+      this.tokens.push(m[0])
+      this.space.push(m.index > 0 && /\s/.test(string.charAt(m.index - 1)))
+    }
+    this.pos = 0
+  }
+
+  get next() { return this.tokens[this.pos] }
+
+  get spaceBefore() { return this.space[this.pos] }
+
+  eat(tok) { return this.next == tok && (this.pos++ || true) }
+
+  err(str) { throw new SyntaxError(str + " (in selector '" + this.string + "')") }
+}
+
+function parseSelector(string, schema) {
+  let stream = new SelectorStream(string, schema), alternatives = []
+  do { alternatives.push(parseSteps(stream)) }
+  while (stream.eat(","))
+  if (stream.next) stream.err("Unexpected token '" + stream.next + "'")
+  return alternatives
+}
+
+function parseSteps(stream) {
+  let steps = [], rooted = stream.eat(">"), combinator = null
+  for (;;) {
+    let step = parseCompound(stream)
+    step.combinator = combinator
+    step.rooted = !steps.length && rooted
+    steps.push(step)
+    if (!stream.next || stream.next == ",") return steps
+    combinator = stream.eat(">") ? ">" : " "
+  }
+}
+
+function parseCompound(stream) {
+  let step = {types: null, attrs: [], marks: []}, start = stream.pos
+  if (stream.eat("*")) {
+    // Matches any node type
+  } else if (stream.next && !/\W/.test(stream.next)) {
+    step.types = resolveTypes(stream, stream.next)
+    stream.pos++
+  } else if (stream.next != "[" && stream.next != ":") {
+    stream.err(stream.next ? "Unexpected token '" + stream.next + "'" : "Unexpected end of selector")
+  }
+  while (stream.pos == start || !stream.spaceBefore) {
+    if (stream.eat("[")) step.attrs.push(parseAttrTest(stream, step.types))
+    else if (stream.eat(":")) step.marks.push(parsePseudo(stream))
+    else break
+  }
+  return step
+}
+
+function resolveTypes(stream, name) {
+  let nodes = stream.schema.nodes
+  if (nodes[name]) return [nodes[name]]
+  let result = []
+  for (let prop in nodes) if (nodes[prop].groups.indexOf(name) > -1) result.push(nodes[prop])
+  if (!result.length) stream.err("No node type or group '" + name + "' found")
+  return result
+}
+
+function parseAttrTest(stream, types) {
+  let name = stream.next
+  if (!name || /\W/.test(name)) stream.err("Expected attribute name, got '" + name + "'")
+  if (types && !types.some(type => name in type.attrs))
+    stream.err("No node type in '" + types.map(t => t.name).join(", ") + "' has attribute '" + name + "'")
+  stream.pos++
+  let op = null, value = null
+  if (!stream.eat("]")) {
+    op = stream.next
+    if (!/^(=|!=|>|<|>=|<=|\^=|\$=|\*=)$/.test(op)) stream.err("Unexpected operator '" + op + "'")
+    stream.pos++
+    value = parseValue(stream)
+    if (/^[<>]/.test(op) && typeof value != "number") stream.err("Operator '" + op + "' needs a number")
+    if (/^[\^$*]/.test(op) && typeof value != "string") stream.err("Operator '" + op + "' needs a string")
+    if (!stream.eat("]")) stream.err("Unclosed attribute test")
+  }
+  return {name, op, value}
+}
+
+function parseValue(stream) {
+  let tok = stream.next, negative = false
+  if (tok == "-") { negative = true; tok = stream.tokens[++stream.pos] }
+  if (tok == null) stream.err("Expected attribute value")
+  stream.pos++
+  if (/^\d/.test(tok)) return negative ? -Number(tok) : Number(tok)
+  if (negative) stream.err("Expected number after '-'")
+  if (tok[0] == '"') return JSON.parse(tok)
+  if (tok == "true") return true
+  if (tok == "false") return false
+  if (tok == "null") return null
+  if (/\W/.test(tok)) stream.err("Unexpected token '" + tok + "' in attribute test")
+  return tok
+}
+
+// Parses the pseudo-class after a colon. Only `:mark(name)` is
+// supported, where the name may refer to a mark type or a mark group.
+function parsePseudo(stream) {
+  if (stream.next != "mark") stream.err("Unknown pseudo-class '" + stream.next + "'")
+  stream.pos++
+  if (!stream.eat("(")) stream.err("Expected '(' after ':mark'")
+  let name = stream.next, marks = stream.schema.marks, types = []
+  if (marks[name]) {
+    types.push(marks[name])
+  } else {
+    for (let prop in marks) {
+      let group = marks[prop].spec.group
+      if (group && group.split(" ").indexOf(name) > -1) types.push(marks[prop])
+    }
+  }
+  if (!types.length) stream.err("No mark type or group '" + name + "' found")
+  stream.pos++
+  if (!stream.eat(")")) stream.err("Expected ')' after mark name")
+  return types
+}
@@ -0,0 +1,136 @@
+import {Fragment} from "./fragment"
+import {Mark} from "./mark"
+
+// : (Node, ?[Object]) → Node
+// Make a node and its descendants conform to the schema. Works
+// bottom-up, so that a node's children are repaired before its own
+// content is fitted to its content expression. When an array is
+// given, a description of every edit is pushed onto it.
+export function repair(node, changes) {
+  return repairNode(node, -1, true, changes)[0]
+}
+
+// Repair the given node, which starts at `pos` in the original
+// document (-1 for the root), and return the nodes that should
+// replace it. That will be more than one node when a non-root node
+// had to be split around content that it can't hold.
+function repairNode(node, pos, isRoot, changes) {
+  if (node.isText) return [node]
+  let start = pos + 1, entries = []
+  node.forEach((child, offset) => {
+    let repaired = repairNode(child, start + offset, false, changes)
+    for (let i = 0; i < repaired.length; i++) entries.push({node: repaired[i], pos: start + offset})
+  })
+  return fitContent(node, entries, start + node.content.size, isRoot, changes)
+}
+
+function fitContent(node, entries, end, isRoot, changes) {
+  let type = node.type, match = type.contentMatch, out = [], pieces = []
+  function report(kind, pos, target) {
+    if (changes) changes.push({kind, pos, node: target, parent: node})
+  }
+  function addFill(fill, pos) {
+    for (let i = 0; i < fill.childCount; i++) {
+      out.push(fill.child(i))
+      report("fill", pos, fill.child(i))
+    }
+  }
+  function finish(pos) {
+    let fill = match.fillBefore(Fragment.empty, true)
+    if (fill) addFill(fill, pos)
+  }
+
+  // Note: no closures in this loop, since Buble's output for those
+  // loses the updates to `i` made before a `continue`.
+  for (let i = 0; i < entries.length; i++) {
+    let {node: child, pos} = entries[i], markChanges = []
+    let next = match.matchType(child.type, child.attrs)
+    if (next) {
+      out.push(fitMarks(type, child, pos, markChanges))
+      if (markChanges.length) report("marks", pos, markChanges[0].node)
+      match = next
+      continue
+    }
+
+    let fill = match.fillBefore(Fragment.from(child))
+    if (fill) {
+      addFill(fill, pos)
+      out.push(fitMarks(type, child, pos, markChanges))
+      if (markChanges.length) report("marks", pos, markChanges[0].node)
+      match = match.matchFragment(fill).matchType(child.type, child.attrs)
+      continue
+    }
+
+    let wrapping = match.findWrapping(child.type)
+    if (wrapping) {
+      let inner = wrapping[wrapping.length - 1], innerMatch = inner.contentMatch
+      let gathered = [], markChanges = [], j = i
+      for (; j < entries.length; j++) {
+        let innerNext = innerMatch.matchType(entries[j].node.type, entries[j].node.attrs)
+        if (!innerNext) break
+        gathered.push(fitMarks(inner, entries[j].node, entries[j].pos, markChanges))
+        innerMatch = innerNext
+      }
+      let innerFill = innerMatch.fillBefore(Fragment.empty, true)
+      let wrapped = innerFill && inner.create(null, Fragment.fromArray(gathered).append(innerFill))
+      for (let d = wrapping.length - 2; wrapped && d >= 0; d--)
+        wrapped = wrapping[d].createAndFill(null, wrapped)
+      // The wrapping is found by type only, so when the wrapper
+      // constrains attributes, it may not accept the child itself.
+      let wrappedNext = j > i && wrapped && match.matchType(wrapped.type, wrapped.attrs)
+      if (wrappedNext) {
+        report("wrap", pos, wrapped)
+        for (let k = 0; k < markChanges.length; k++) report("marks", markChanges[k].pos, markChanges[k].node)
+        out.push(wrapped)
+        match = wrappedNext
+        i = j - 1
+        continue
+      }
+    }
+
+    if (!isRoot && child.isBlock && type.inlineContent) {
+      report("split", pos, child)
+      if (out.length) {
+        finish(pos)
+        pieces.push(node.copy(Fragment.fromArray(out)))
+      }
+      pieces.push(child)
+      out = []
+      match = type.contentMatch
+      continue
+    }
+
+    if (child.childCount) {
+      report("unwrap", pos, child)
+      entries = entries.slice(0, i + 1).concat(childEntries(child, pos), entries.slice(i + 1))
+      continue
+    }
+
+    report("drop", pos, child)
+  }
+
+  if (pieces.length && !out.length) return pieces
+  finish(end)
+  if (!pieces.length && out.length == node.childCount && out.every((child, i) => child == node.child(i)))
+    return [node]
+  pieces.push(node.copy(Fragment.fromArray(out)))
+  return pieces
+}
+
+function childEntries(node, pos) {
+  let result = []
+  node.forEach((child, offset) => result.push({node: child, pos: pos + 1 + offset}))
+  return result
+}
+
+// Drop the marks that aren't allowed in the parent type, and make
+// sure the remaining ones form a valid set. Changed nodes are
+// recorded in `changed`.
+function fitMarks(parentType, node, pos, changed) {
+  let allowed = parentType.allowedMarks(node.marks), set = Mark.none
+  for (let i = 0; i < allowed.length; i++) set = allowed[i].addToSet(set)
+  if (Mark.sameSet(set, node.marks)) return node
+  let fixed = node.mark(set)
+  changed.push({pos, node: fixed})
+  return fixed
+}
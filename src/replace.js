@@ -88,27 +88,36 @@ export class Slice {
   }
 
   // :: () → ?Object
-  // Convert a slice to a JSON-serializable representation.
+  // Convert a slice to a JSON-serializable representation. Includes
+  // the schema's [version](#model.SchemaSpec.version), if any.
   // 
-  // @cn 返回当前 slice 的 JSON 序列化的表示。
+  // @cn 返回当前 slice 的 JSON 序列化的表示。如果 schema 有 [版本号](#model.SchemaSpec.version)，则会包含它。
   toJSON() {
     if (!this.content.size) return null
     let json = {content: this.content.toJSON()}
     if (this.openStart > 0) json.openStart = this.openStart
     if (this.openEnd > 0) json.openEnd = this.openEnd
+    let version = this.content.firstChild.type.schema.spec.version
+    if (version != null) json.version = version
     return json
   }
 
   // :: (Schema, ?Object) → Slice
-  // Deserialize a slice from its JSON representation.
+  // Deserialize a slice from its JSON representation. Content stamped
+  // with an older version is [migrated](#model.Schema.migrateJSON)
+  // first. Schemas without a version ignore version stamps.
   // 
-  // @cn 从 slice 的 JSON 表示形式反序列化出一个 slice。
+  // @cn 从 slice 的 JSON 表示形式反序列化出一个 slice。带有更早版本号的内容会先被 [迁移](#model.Schema.migrateJSON)。
+  // 没有版本号的 schema 会忽略版本号标记。
   static fromJSON(schema, json) {
     if (!json) return Slice.empty
     let openStart = json.openStart || 0, openEnd = json.openEnd || 0
     if (typeof openStart != "number" || typeof openEnd != "number")
       throw new RangeError("Invalid input for Slice.fromJSON")
-    return new Slice(Fragment.fromJSON(schema, json.content), openStart, openEnd)
+    let content = json.content
+    if (json.version != null && schema.spec.version != null && json.version !== schema.spec.version && Array.isArray(content))
+      content = schema.migrateJSON(content, json.version)
+    return new Slice(Fragment.fromJSON(schema, content), openStart, openEnd)
   }
 
   // :: (Fragment, ?bool) → Slice
@@ -189,7 +198,7 @@ function joinable($before, $after, depth) {
 function addNode(child, target) {
   let last = target.length - 1
   if (last >= 0 && child.isText && child.sameMarkup(target[last]))
-    target[last] = child.withText(target[last].text + child.text)
+    target[last] = target[last].appendText(child)
   else
     target.push(child)
 }
@@ -234,7 +243,7 @@ function replaceThreeWay($from, $start, $end, $to, depth) {
       addNode(close(openEnd, replaceTwoWay($end, $to, depth + 1)), content)
   }
   addRange($to, null, depth, content)
-  return new Fragment(content)
+  return Fragment.fromArray(content)
 }
 
 function replaceTwoWay($from, $to, depth) {
@@ -245,7 +254,7 @@ function replaceTwoWay($from, $to, depth) {
     addNode(close(type, replaceTwoWay($from, $to, depth + 1)), content)
   }
   addRange($to, null, depth, content)
-  return new Fragment(content)
+  return Fragment.fromArray(content)
 }
 
 function prepareSliceForReplace(slice, $along) {
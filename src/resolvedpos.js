@@ -1,4 +1,5 @@
 import {Mark} from "./mark"
+import {Fragment} from "./fragment"
 
 // ::- You can [_resolve_](#model.Node.resolve) a position to get more
 // information about it. Objects of this class represent such a
@@ -227,6 +228,50 @@ export class ResolvedPos {
     return marks
   }
 
+  // :: () → IndexPath
+  // Describe this position as a path of child indices, which, unlike
+  // an integer position, isn't affected by changes in the size of
+  // preceding content.
+  //
+  // @cn 用子节点 index 组成的路径来描述当前位置，与整数位置不同，它不会受到前面内容大小变化的影响。
+  indexPath() {
+    let indices = []
+    for (let d = 0; d <= this.depth; d++) indices.push(this.index(d))
+    return new IndexPath(indices, this.textOffset)
+  }
+
+  // :: () → [InsertionOption]
+  // Find all the node types that could be inserted at this position
+  // while keeping the parent node's content valid, along with the
+  // wrapper nodes and filler content that would be needed for that.
+  // Types that fit directly come first, followed by those that need
+  // filler before them, and then those that need to be wrapped.
+  //
+  // @cn 找到所有可以被插入到当前位置并且保持父级节点内容合法的节点类型，以及为此所需要的包裹节点和填充内容。
+  // 可以直接插入的类型排在最前面，然后是需要在前面填充内容的类型，最后是需要被包裹的类型。
+  insertableTypes() {
+    let parent = this.parent, index = this.index(), match = parent.contentMatchAt(index)
+    let nodes = parent.type.schema.nodes, direct = [], filled = [], wrapped = []
+    for (let name in nodes) {
+      let type = nodes[name], next = match.matchType(type), before = Fragment.empty, wrapping = []
+      if (!next && !type.isText && !type.hasRequiredAttrs()) {
+        let node = type.createAndFill(), fill = node && match.fillBefore(Fragment.from(node))
+        if (fill) {
+          before = fill
+          next = match.matchFragment(fill).matchType(type, node.attrs)
+        }
+      }
+      if (!next) {
+        wrapping = match.findWrapping(type) || []
+        if (wrapping.length) next = match.matchType(wrapping[0])
+      }
+      let after = next && next.fillBefore(parent.content, true, index)
+      if (!after) continue
+      ;(wrapping.length ? wrapped : before.size ? filled : direct).push({type, wrapping, before, after})
+    }
+    return direct.concat(filled, wrapped)
+  }
+
   // :: (number) → number
   // The depth up to which this position and the given (non-resolved)
   // position share the same parent nodes.
@@ -374,3 +419,144 @@ export class NodeRange {
   // @cn 该 range 在父级节点中结束处的 index。
   get endIndex() { return this.$to.indexAfter(this.depth) }
 }
+
+// ::- An index path identifies a position in a document by the child
+// indices leading to it, from the top node down, plus an offset into
+// a text node. It can be stored (as JSON) and later resolved against
+// a version of the document that hasn't changed structurally around
+// the position.
+//
+// @cn 索引路径通过从顶层节点向下到达某个位置的子节点 index 以及在文本节点中的偏移量来确定文档中的一个位置。
+// 它可以被（以 JSON 的形式）存储起来，然后在之后针对一个在该位置周围结构没有发生变化的文档重新解析。
+export class IndexPath {
+  // :: ([number], ?number)
+  // Create an index path. The last index is the index in the
+  // position's parent node.
+  //
+  // @cn 新建一个索引路径。最后一个 index 是位置在其父级节点中的 index。
+  constructor(indices, textOffset = 0) {
+    // :: [number]
+    // The child index at each depth, from the top node down to the
+    // position's parent node.
+    //
+    // @cn 在每个深度的子节点 index，从顶层节点一直到位置所在的父级节点。
+    this.indices = indices
+    // :: number
+    // The offset into the text node at the last index, or zero when
+    // the position is between nodes.
+    //
+    // @cn 在最后一个 index 处的文本节点中的偏移量，如果位置在节点之间，则为 0。
+    this.textOffset = textOffset
+  }
+
+  // :: (Node) → ResolvedPos
+  // Resolve this path in the given document. Raises a `RangeError`
+  // when the path doesn't exist in that document.
+  //
+  // @cn 在给定文档中解析该路径。如果该路径在该文档中不存在，则会抛出一个 `RangeError`。
+  resolve(doc) {
+    return doc.resolve(this.toPos(doc))
+  }
+
+  // :: (Node) → number
+  // Find the integer position that this path points at in the given
+  // document. Raises a `RangeError` when the path doesn't exist.
+  //
+  // @cn 找到该路径在给定文档中指向的整数位置。如果路径不存在，则会抛出一个 `RangeError`。
+  toPos(doc) {
+    let node = doc, pos = 0, last = this.indices.length - 1
+    for (let d = 0; d < last; d++) {
+      let index = this.indices[d]
+      if (index >= node.childCount || node.child(index).isLeaf) throw missingPath(this)
+      for (let i = 0; i < index; i++) pos += node.child(i).nodeSize
+      node = node.child(index)
+      pos++
+    }
+    let index = this.indices[last]
+    if (!(index <= node.childCount)) throw missingPath(this)
+    for (let i = 0; i < index; i++) pos += node.child(i).nodeSize
+    if (this.textOffset) {
+      let text = node.maybeChild(index)
+      if (!text || !text.isText || this.textOffset >= text.nodeSize) throw missingPath(this)
+    }
+    return pos + this.textOffset
+  }
+
+  // :: (IndexPath) → bool
+  // Test whether two paths point at the same position.
+  //
+  // @cn 测试两个路径是否指向同一个位置。
+  eq(other) {
+    return this.textOffset == other.textOffset && this.indices.join() == other.indices.join()
+  }
+
+  toString() {
+    return this.indices.join("/") + (this.textOffset ? ":" + this.textOffset : "")
+  }
+
+  // :: () → Object
+  // Convert this path to a JSON-serializeable representation.
+  //
+  // @cn 将当前路径转换成一个可 JSON 序列化的对象。
+  toJSON() {
+    let json = {indices: this.indices.slice()}
+    if (this.textOffset) json.textOffset = this.textOffset
+    return json
+  }
+
+  // :: (Object) → IndexPath
+  // Deserialize a path from its JSON representation.
+  //
+  // @cn 从 JSON 对象中反序列化出一个路径。
+  static fromJSON(json) {
+    let valid = json && Array.isArray(json.indices) && json.indices.length && json.indices.every(isIndex)
+    let offset = json && json.textOffset || 0
+    if (!valid || !isIndex(offset)) throw new RangeError("Invalid input for IndexPath.fromJSON")
+    return new IndexPath(json.indices.slice(), offset)
+  }
+
+  // :: (Node, number) → IndexPath
+  // Get the index path for a position in the given document.
+  //
+  // @cn 获取给定文档中某个位置的索引路径。
+  static fromPos(doc, pos) {
+    return doc.resolve(pos).indexPath()
+  }
+}
+
+function isIndex(value) {
+  return typeof value == "number" && value >= 0 && Math.floor(value) == value
+}
+
+function missingPath(path) {
+  return new RangeError("Index path " + path + " does not exist in this document")
+}
+
+// InsertionOption:: interface
+// Describes a way to insert a node of a given type at a position, as
+// returned by [`insertableTypes`](#model.ResolvedPos.insertableTypes).
+//
+// @cn 描述在一个位置插入某种类型节点的方式，由 [`insertableTypes`](#model.ResolvedPos.insertableTypes) 返回。
+//
+//   type:: NodeType
+//   The type of node that can be inserted.
+//
+//   @cn 可以被插入的节点类型。
+//
+//   wrapping:: [NodeType]
+//   The node types, from outer to inner, that the node has to be
+//   wrapped in. Empty when it fits directly.
+//
+//   @cn 该节点需要被包裹于其中的节点类型，从外到内排列。如果可以直接插入则为空数组。
+//
+//   before:: Fragment
+//   Filler content that must be inserted before the node (or its
+//   wrappers).
+//
+//   @cn 必须被插入到该节点（或者其包裹节点）之前的填充内容。
+//
+//   after:: Fragment
+//   Filler content that must be inserted after the node so that the
+//   content after the position still fits.
+//
+//   @cn 必须被插入到该节点之后的填充内容，以使该位置之后的内容依然合法。
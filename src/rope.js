@@ -0,0 +1,90 @@
+// Long text in text nodes of a type that opts in (see
+// [`NodeSpec.rope`](#model.NodeSpec.rope)) is stored in a rope, a
+// persistent balanced binary tree with string leaves, so that
+// slicing and joining it don't copy the whole text.
+//
+// The tree is kept balanced like an AVL tree: the depths of the
+// children of a branch never differ by more than one.
+
+// The maximum length of the text in a leaf. Shorter leaves created
+// by joining or slicing are merged when they meet.
+const maxLeaf = 512
+
+class RopeLeaf {
+  constructor(text) {
+    this.text = text
+  }
+
+  get length() { return this.text.length }
+
+  get depth() { return 0 }
+
+  flatten(target) { target.push(this.text) }
+}
+
+class RopeBranch {
+  constructor(left, right) {
+    this.left = left
+    this.right = right
+    this.length = left.length + right.length
+    this.depth = Math.max(left.depth, right.depth) + 1
+  }
+
+  flatten(target) {
+    this.left.flatten(target)
+    this.right.flatten(target)
+  }
+}
+
+// : (string) → Rope
+export function ropeFrom(text) {
+  return build(text, 0, text.length)
+}
+
+function build(text, from, to) {
+  if (to - from <= maxLeaf) return new RopeLeaf(text.slice(from, to))
+  let mid = (from + to) >> 1
+  return new RopeBranch(build(text, from, mid), build(text, mid, to))
+}
+
+// : (Rope) → string
+export function ropeToString(rope) {
+  if (rope instanceof RopeLeaf) return rope.text
+  let parts = []
+  rope.flatten(parts)
+  return parts.join("")
+}
+
+// : (Rope, Rope) → Rope
+export function concatRopes(a, b) {
+  if (!a.length) return b
+  if (!b.length) return a
+  if (a.depth > b.depth + 1) return branch(a.left, concatRopes(a.right, b))
+  if (b.depth > a.depth + 1) return branch(concatRopes(a, b.left), b.right)
+  if (a.length + b.length <= maxLeaf && !a.depth && !b.depth) return new RopeLeaf(a.text + b.text)
+  return new RopeBranch(a, b)
+}
+
+// Create a branch from two ropes whose depth differs by at most two,
+// rotating when necessary to keep it balanced.
+function branch(left, right) {
+  if (left.depth > right.depth + 1) {
+    if (left.left.depth >= left.right.depth) return new RopeBranch(left.left, new RopeBranch(left.right, right))
+    return new RopeBranch(new RopeBranch(left.left, left.right.left), new RopeBranch(left.right.right, right))
+  }
+  if (right.depth > left.depth + 1) {
+    if (right.right.depth >= right.left.depth) return new RopeBranch(new RopeBranch(left, right.left), right.right)
+    return new RopeBranch(new RopeBranch(left, right.left.left), new RopeBranch(right.left.right, right.right))
+  }
+  return new RopeBranch(left, right)
+}
+
+// : (Rope, number, number) → Rope
+export function sliceRope(rope, from, to) {
+  if (from <= 0 && to >= rope.length) return rope
+  if (rope instanceof RopeLeaf) return new RopeLeaf(rope.text.slice(from, to))
+  let mid = rope.left.length
+  if (to <= mid) return sliceRope(rope.left, from, to)
+  if (from >= mid) return sliceRope(rope.right, from - mid, to - mid)
+  return concatRopes(sliceRope(rope.left, from, mid), sliceRope(rope.right, 0, to - mid))
+}
@@ -1,6 +1,6 @@
 import OrderedMap from "orderedmap"
 
-import {Node, TextNode} from "./node"
+import {Node, createText} from "./node"
 import {Fragment} from "./fragment"
 import {Mark} from "./mark"
 import {ContentMatch} from "./content"
@@ -22,20 +22,43 @@ function defaultAttrs(attrs) {
 function computeAttrs(attrs, value) {
   let built = Object.create(null)
   for (let name in attrs) {
-    let given = value && value[name]
+    let given = value && value[name], attr = attrs[name]
     if (given === undefined) {
-      let attr = attrs[name]
       if (attr.hasDefault) given = attr.default
       else throw new RangeError("No value supplied for attribute " + name)
+    } else {
+      attr.check(given)
     }
     built[name] = given
   }
   return built
 }
 
-function initAttrs(attrs) {
+// Collect the problems (missing required attributes or invalid
+// values) with a set of computed attributes.
+function attrProblems(attrs, values) {
+  let found = []
+  for (let name in attrs) {
+    let attr = attrs[name]
+    if (!(name in values)) {
+      if (attr.isRequired)
+        found.push({kind: "missingAttr", attr: name, message: `No value supplied for attribute ${name} on ${attr.owner}`})
+    } else {
+      let message = attr.problem(values[name])
+      if (message) found.push({kind: "invalidAttr", attr: name, message})
+    }
+  }
+  return found
+}
+
+function checkAttrs(attrs, values) {
+  let problems = attrProblems(attrs, values)
+  if (problems.length) throw new RangeError(problems[0].message)
+}
+
+function initAttrs(owner, attrs) {
   let result = Object.create(null)
-  if (attrs) for (let name in attrs) result[name] = new Attribute(attrs[name])
+  if (attrs) for (let name in attrs) result[name] = new Attribute(owner, name, attrs[name])
   return result
 }
 
@@ -67,7 +90,7 @@ export class NodeType {
     this.spec = spec
 
     this.groups = spec.group ? spec.group.split(" ") : []
-    this.attrs = initAttrs(spec.attrs)
+    this.attrs = initAttrs("node type " + name, spec.attrs)
 
     this.defaultAttrs = defaultAttrs(this.attrs)
 
@@ -86,6 +109,10 @@ export class NodeType {
     // @cn 该节点允许出现的 marks 集合。`null` 意味着允许所有的 marks。
     this.markSet = null
 
+    // : ?[{type: NodeType, attrs: ?Object}]
+    // The resolved form of the spec's `fill` option.
+    this.fillPreference = null
+
     // :: bool
     // True if this node type has inline content.
     //
@@ -161,6 +188,16 @@ export class NodeType {
     else return computeAttrs(this.attrs, attrs)
   }
 
+  // Raise an error when the given (already computed) attributes are
+  // missing a required attribute or contain an invalid value.
+  checkAttrs(attrs) {
+    checkAttrs(this.attrs, attrs)
+  }
+
+  attrProblems(attrs) {
+    return attrProblems(this.attrs, attrs)
+  }
+
   // :: (?Object, ?union<Fragment, Node, [Node]>, ?[Mark]) → Node
   // Create a `Node` of this type. The given attributes are
   // checked and defaulted (you can pass `null` to use the type's
@@ -191,7 +228,7 @@ export class NodeType {
     return new Node(this, this.computeAttrs(attrs), content, Mark.setFrom(marks))
   }
 
-  // :: (?Object, ?union<Fragment, Node, [Node]>, ?[Mark]) → ?Node
+  // :: (?Object, ?union<Fragment, Node, [Node]>, ?[Mark], ?[union<NodeType, {type: NodeType, attrs: ?Object}>]) → ?Node
   // Like [`create`](#model.NodeType.create), but see if it is necessary to
   // add nodes to the start or end of the given fragment to make it
   // fit the node. If no fitting wrapping can be found, return null.
@@ -204,15 +241,21 @@ export class NodeType {
   // 记住，如果你传递 `null` 或者 `Fragment.empty` 作为内容会导致其一定会适合当前 node，因此该方法一定会成功。
   //
   // @comment 因为 `null` 和 `Fragment.empty` 不用寻找任何「合适的包裹节点」就能适应当前节点。
-  createAndFill(attrs, content, marks) {
+  //
+  // The types that are preferred when generating content default to
+  // the node spec's [`fill`](#model.NodeSpec.fill) option, and can be
+  // overridden with `fill`.
+  //
+  // @cn 生成内容时优先选择的类型默认来自节点配置对象的 [`fill`](#model.NodeSpec.fill) 选项，可以通过 `fill` 参数覆盖。
+  createAndFill(attrs, content, marks, fill = this.fillPreference) {
     attrs = this.computeAttrs(attrs)
     content = Fragment.from(content)
     if (content.size) {
-      let before = this.contentMatch.fillBefore(content)
+      let before = this.contentMatch.fillBefore(content, false, 0, fill)
       if (!before) return null
       content = before.append(content)
     }
-    let after = this.contentMatch.matchFragment(content).fillBefore(Fragment.empty, true)
+    let after = this.contentMatch.matchFragment(content).fillBefore(Fragment.empty, true, 0, fill)
     if (!after) return null
     return new Node(this, attrs, content.append(after), Mark.setFrom(marks))
   }
@@ -262,7 +305,7 @@ export class NodeType {
         copy.push(marks[i])
       }
     }
-    return !copy ? marks : copy.length ? copy : Mark.empty
+    return !copy ? marks : copy.length ? copy : Mark.none
   }
 
   static compile(nodes, schema) {
@@ -281,14 +324,55 @@ export class NodeType {
 // Attribute descriptors
 
 class Attribute {
-  constructor(options) {
+  constructor(owner, name, options) {
+    this.owner = owner
+    this.name = name
     this.hasDefault = Object.prototype.hasOwnProperty.call(options, "default")
     this.default = options.default
+    this.validate = typeof options.validate == "string" ? validateType(options.validate) : options.validate
   }
 
   get isRequired() {
     return !this.hasDefault
   }
+
+  // Returns an error message when the value isn't valid for this
+  // attribute.
+  problem(value) {
+    if (!this.validate) return null
+    let message = null
+    try {
+      let result = this.validate(value)
+      if (result === false) message = "rejected by validator"
+      else if (typeof result == "string") message = result
+    } catch (e) {
+      message = e.message || String(e)
+    }
+    return message == null ? null
+      : `Invalid value ${describeValue(value)} for attribute ${this.name} on ${this.owner}: ${message}`
+  }
+
+  check(value) {
+    let message = this.problem(value)
+    if (message) throw new RangeError(message)
+  }
+}
+
+// Build a validation function from a `|`-separated list of type
+// names. Returns an error message for values of other types.
+function validateType(spec) {
+  let types = spec.split("|")
+  return value => {
+    let type = value === null ? "null" : Array.isArray(value) ? "array" : typeof value
+    if (types.indexOf(type) < 0) return "expected " + types.join(" or ") + ", got " + type
+  }
+}
+
+function describeValue(value) {
+  if (typeof value == "function") return "function"
+  let str = JSON.stringify(value)
+  if (str === undefined) return String(value)
+  return str.length > 50 ? str.slice(0, 50) + "…" : str
 }
 
 // Marks
@@ -320,7 +404,7 @@ export class MarkType {
     // @cn 当前 mark 类型的配置对象。
     this.spec = spec
 
-    this.attrs = initAttrs(spec.attrs)
+    this.attrs = initAttrs("mark type " + name, spec.attrs)
 
     this.rank = rank
     this.excluded = null
@@ -340,6 +424,16 @@ export class MarkType {
     return new Mark(this, computeAttrs(this.attrs, attrs))
   }
 
+  // Raise an error when the given attributes aren't valid for this
+  // mark type.
+  checkAttrs(attrs) {
+    checkAttrs(this.attrs, attrs)
+  }
+
+  attrProblems(attrs) {
+    return attrProblems(this.attrs, attrs)
+  }
+
   static compile(marks, schema) {
     let result = Object.create(null), rank = 0
     marks.forEach((name, spec) => result[name] = new MarkType(name, rank++, schema, spec))
@@ -415,6 +509,30 @@ export class MarkType {
 //   to `"doc"`.
 //
 //   @cn 当前 schema 顶级节点的名字，默认是 `"doc"`。
+//
+//   version:: ?number
+//   The version of the document format described by this schema.
+//   When given, the JSON representation of top-level nodes and
+//   slices is stamped with it, and JSON with an older version is
+//   [migrated](#model.SchemaSpec.migrations) when deserialized.
+//
+//   @cn 当前 schema 描述的文档格式的版本号。如果给定，则顶级节点和 slice 的 JSON 表示会带上该版本号，
+//   同时带有更早版本号的 JSON 在反序列化的时候会被 [迁移](#model.SchemaSpec.migrations)。
+//
+//   migrations:: ?Object<(node: Object) → union<Object, [Object], null>>
+//   An object mapping version numbers to functions that upgrade the
+//   JSON of a single node from the previous version to that
+//   version. When JSON with an older version is read, the function
+//   for each intermediate version is run, in order, over the whole
+//   tree. It is called with each node's JSON (including text nodes)
+//   before that node's content is migrated, and may return the
+//   object unchanged, a replacement object, an array of nodes to
+//   replace it with, or null to drop it. These functions should
+//   not mutate the objects they are given.
+//
+//   @cn 一个版本号到函数的映射，函数将单个节点的 JSON 从上一个版本升级到对应的版本。当读取一个更早版本的 JSON 的时候，
+//   每个中间版本的函数会依次在整个树上运行。它会以每个节点（包括文本节点）的 JSON 为参数被调用，调用发生在该节点的内容被迁移之前，
+//   它可以返回原对象、一个替换的对象、一个用来替换它的节点数组，或者 null 来丢弃该节点。这些函数不应该修改传给它们的对象。
 
 // NodeSpec:: interface
 //
@@ -423,9 +541,32 @@ export class MarkType {
 //   guide](/docs/guide/#schema.content_expressions). When not given,
 //   the node does not allow any content.
 //
+//   A group may be followed by `-` and the name of a node type or
+//   group to leave out, as in `block - heading` for any block except
+//   headings.
+//
+//   Expressions separated by `&` match their content interleaved,
+//   so `caption & image` accepts a caption and an image in either
+//   order. `&` binds more loosely than sequences and more tightly
+//   than `|`.
+//
+//   A node name may be followed by attribute constraints in square
+//   brackets, as in `heading[level=1] paragraph+`, in which case only
+//   nodes of that type whose attributes have the given values match.
+//   Values may be numbers, quoted strings, `true`, `false`, `null`, or
+//   plain words, which are read as strings.
+//
 //   @cn 就像在 [schema guide](https://xheldon.com/prosemirror-guide-chinese.html#content-expressions) 中描述的一样，为当前节点的内容表达式。
 //   如果没有给定，则该节点不允许任何内容。
 //
+//   @cn group 后面可以跟一个 `-` 和要排除的节点类型或 group 的名字，比如 `block - heading` 表示除了 heading 之外的任意 block。
+//
+//   @cn 用 `&` 分隔的表达式会以交错的方式匹配内容，因此 `caption & image` 可以接受以任意顺序出现的一个 caption 和一个 image。
+//   `&` 的优先级低于序列，高于 `|`。
+//
+//   @cn 节点名后面可以跟一个方括号括起来的 attribute 约束，如 `heading[level=1] paragraph+`，此时只有该类型中 attributes
+//   具有给定值的节点才能匹配。值可以是数字、带引号的字符串、`true`、`false`、`null` 或者普通的单词（会被当成字符串）。
+//
 //   @comment schema guide 链接指向中文翻译指南，请搜索 Schema 下的 Content Expressions 一节。
 //
 //   marks:: ?string
@@ -433,11 +574,27 @@ export class MarkType {
 //   space-separated string referring to mark names or groups, `"_"`
 //   to explicitly allow all marks, or `""` to disallow marks. When
 //   not given, nodes with inline content default to allowing all
-//   marks, other nodes default to not allowing marks.
+//   marks, other nodes default to not allowing marks. A name prefixed
+//   with `-` (or following a separate `-`) removes the marks it
+//   refers to from those listed before it, so `"_ -link"` allows all
+//   marks except links.
 //
 //   @cn 当前节点允许的 marks 类型。可能是一个空格分隔的字符串，内容是 mark 的名字或者 group 名。
 //   `"_"` 表示明确允许所有的 marks，或者 `""` 表示禁止所有的 marks。如果没有设置该字段，则节点含有的内联内容将会默认允许所有的 marks，
-//   其他不含内联内容的节点将默认不允许所有的 marks。
+//   其他不含内联内容的节点将默认不允许所有的 marks。以 `-` 开头的名字（或者跟在单独的 `-` 后面的名字）会将其所指的 marks
+//   从前面列出的 marks 中移除，因此 `"_ -link"` 表示允许除了 link 之外的所有 marks。
+//
+//   fill:: ?[union<string, {type: string, attrs: ?Object}>]
+//   Node types, by name and optionally with attributes, that should
+//   be preferred, in order, when [`createAndFill`](#model.NodeType.createAndFill)
+//   has to generate content for this node. For example, a table
+//   could use `[{type: "table_row", attrs: {header: true}}]` to start
+//   with a header row. Giving attributes allows types with required
+//   attributes to be generated.
+//
+//   @cn 当 [`createAndFill`](#model.NodeType.createAndFill) 需要为当前节点生成内容时，按顺序优先选择的节点类型，
+//   用名字表示，可以带有 attributes。比如，一个表格可以使用 `[{type: "table_row", attrs: {header: true}}]` 来让其以一个表头行开始。
+//   给定 attributes 可以让含有必须的 attributes 的类型被生成。
 //
 //   group:: ?string
 //   The group or space-separated groups to which this node belongs,
@@ -488,6 +645,18 @@ export class MarkType {
 //
 //   @comment 「特别的行为」如，在 code 节点中的内容如果是 li 和 文档中的 li 是两个处理逻辑，前者针对 code 块处理；后者针对 li 进行处理。
 //
+//   rope:: ?bool
+//   Only meaningful for the text node type. When true, long text
+//   nodes store their text in a rope, which makes cutting and
+//   joining them (as happens when editing a big code block) cheap,
+//   rather than proportional to the length of the text. This doesn't
+//   change the way the nodes behave—their `text` property, size, and
+//   JSON representation are the same—but reading `text` has to
+//   convert the rope to a string the first time it is accessed.
+//
+//   @cn 只对文本节点类型有意义。如果为 true，较长的文本节点会将它们的文本存储在一个 rope 中，这使得剪切和合并它们（比如在编辑一个很大的代码块时就会发生）的开销很小，
+//   而不是与文本的长度成正比。这不会改变节点的行为——它们的 `text` 属性、大小以及 JSON 表示都是相同的——但是在第一次读取 `text` 的时候需要将 rope 转换成一个字符串。
+//
 //   defining:: ?bool
 //   Determines whether this node is considered an important parent
 //   node during replace operations (such as paste). Non-defining (the
@@ -584,12 +753,16 @@ export class MarkType {
 //   any mark that excludes the new mark but is not, itself, excluded
 //   by the new mark, the mark can not be added an the set. You can
 //   use the value `"_"` to indicate that the mark excludes all
-//   marks in the schema.
+//   marks in the schema. As in [`NodeSpec.marks`](#model.NodeSpec.marks),
+//   a name prefixed with `-` removes the marks it refers to from
+//   those listed before it, so `"_ -comment"` excludes all marks
+//   except comments.
 //
 //   @cn 决定当前 mark 是否能和其他 marks 共存。应该是由其他 marks 名或者 marks group 组成的以空格分隔的字符串。
 //   当一个 marks 被 [added](#model.Mark.addToSet) 到一个集合中时，所有的与此 marks 排斥（excludes）的 marks 将会被在添加过程中移除。
 //   如果当前集合包含任何排斥当前的新 mark 的 mark，但是该新 mark 却不排斥它，则当前新的 mark 不会被添加到集合中。你可以使用 `"_"` 来表明当前 marks
-//   排斥所有的 schema 中的其他 marks。
+//   排斥所有的 schema 中的其他 marks。与 [`NodeSpec.marks`](#model.NodeSpec.marks) 中一样，以 `-` 开头的名字会将其所指的 marks
+//   从前面列出的 marks 中移除，因此 `"_ -comment"` 表示排斥除了 comment 之外的所有 marks。
 //
 //   @comment 该段的主要意思是，第一：假设 A 、B 互斥，则 无论 A 添加到包含 B 的集合，还是 B 添加到 包含 A 的集合，已经在集合中的一方会被移除以添加新的 mark；
 //   第二：若假设 A 排斥 B，B 却不排斥 A，则将 B 添加到包含 A 的集合中去的时候，将不会被添加进去。
@@ -646,6 +819,80 @@ export class MarkType {
 //
 //   @cn 该 attribute 的默认值，当没有显式提供值的时候使用。如果 attributes 没有默认值，则必须在新建一个 node 或者 mark 的时候提供值。
 //
+//   validate:: ?union<string, (value: any) → ?union<bool, string>>
+//   Used to validate the values given for this attribute. When a
+//   string, it should be a `|`-separated list of type names
+//   (`"string"`, `"number"`, `"boolean"`, `"null"`, `"undefined"`,
+//   `"object"`, or `"array"`), and values of other types are
+//   rejected. When a function, it may return `false` or an error
+//   message string, or throw an error, to reject a value. Explicitly given values are
+//   validated when a node or mark is created (which includes
+//   deserializing it from JSON), and all values are checked by
+//   [`Node.check`](#model.Node.check). Invalid values cause a
+//   `RangeError` to be raised.
+//
+//   @cn 用来校验该 attribute 的值。如果是一个字符串，它应该是一个用 `|` 分隔的类型名列表（`"string"`、`"number"`、`"boolean"`、
+//   `"null"`、`"undefined"`、`"object"` 或者 `"array"`），其他类型的值会被拒绝。如果是一个函数，它可以返回 `false` 或者一个错误信息字符串，或者抛出一个错误来拒绝一个值。
+//   显式给定的值会在创建 node 或者 mark 的时候（包括从 JSON 中反序列化的时候）被校验，[`Node.check`](#model.Node.check) 则会检查所有的值。
+//   不合法的值会导致一个 `RangeError` 被抛出。
+//
+
+// SchemaExtension:: interface
+// Describes the changes [`Schema.extend`](#model.Schema.extend)
+// should make to a schema's spec.
+//
+// @cn 描述 [`Schema.extend`](#model.Schema.extend) 应该对 schema 的配置对象做的修改。
+//
+//   nodes:: ?[SchemaChange]
+//   Changes to apply to the node specs, in order.
+//
+//   @cn 依次应用到节点配置对象上的修改。
+//
+//   marks:: ?[SchemaChange]
+//   Changes to apply to the mark specs, in order.
+//
+//   @cn 依次应用到 mark 配置对象上的修改。
+//
+//   topNode:: ?string
+//   A new [top node](#model.SchemaSpec.topNode) for the schema.
+//   Defaults to the one of the original schema.
+//
+//   @cn 新 schema 的 [顶级节点](#model.SchemaSpec.topNode)。默认是原 schema 的顶级节点。
+
+// SchemaChange:: interface
+// A single change to the node or mark specs of a schema. When only
+// `spec` is given, a type with that name is replaced in place, or, if
+// no such type exists, added at the end. With `before` or `after`,
+// the type (new, replaced, or, when no `spec` is given, an existing
+// one) is moved next to the given type.
+//
+// @cn 对 schema 的节点或者 mark 配置对象的一个修改。如果只给定了 `spec`，则相同名字的类型会被原地替换，或者，如果不存在这样的类型，则会被添加到最后。
+// 如果给定了 `before` 或者 `after`，则该类型（新添加的、替换后的，或者没有给定 `spec` 时已经存在的类型）会被移动到给定类型的旁边。
+//
+//   name:: string
+//   The name of the type to change.
+//
+//   @cn 要修改的类型的名字。
+//
+//   spec:: ?union<NodeSpec, MarkSpec>
+//   The spec to add or to replace the existing spec with.
+//
+//   @cn 要添加的配置对象，或者用来替换已有配置对象的配置对象。
+//
+//   remove:: ?bool
+//   When true, remove the type from the schema.
+//
+//   @cn 如果为 true，则将该类型从 schema 中移除。
+//
+//   before:: ?string
+//   Place the type directly before the type with this name.
+//
+//   @cn 将该类型放到给定名字的类型的正前方。
+//
+//   after:: ?string
+//   Place the type directly after the type with this name.
+//
+//   @cn 将该类型放到给定名字的类型的正后方。
 
 // ::- A document schema. Holds [node](#model.NodeType) and [mark
 // type](#model.MarkType) objects for the nodes and marks that may
@@ -698,6 +945,14 @@ export class Schema {
         markExpr ? gatherMarks(this, markExpr.split(" ")) :
         markExpr == "" || !type.inlineContent ? [] : null
     }
+    for (let prop in this.nodes) {
+      let type = this.nodes[prop], fill = type.spec.fill
+      if (fill) type.fillPreference = fill.map(pref => {
+        let name = typeof pref == "string" ? pref : pref.type, found = this.nodes[name]
+        if (!found) throw new RangeError("Unknown node type '" + name + "' in fill option of " + prop)
+        return {type: found, attrs: typeof pref == "string" ? null : pref.attrs || null}
+      })
+    }
     for (let prop in this.marks) {
       let type = this.marks[prop], excl = type.spec.excludes
       type.excluded = excl == null ? [type] : excl == "" ? [] : gatherMarks(this, excl.split(" "))
@@ -751,7 +1006,7 @@ export class Schema {
   // @comment 文本节点和文本块节点不同，注意区分。
   text(text, marks) {
     let type = this.nodes.text
-    return new TextNode(type, type.defaultAttrs, text, Mark.setFrom(marks))
+    return createText(type, type.defaultAttrs, text, Mark.setFrom(marks))
   }
 
   // :: (union<string, MarkType>, ?Object) → Mark
@@ -790,22 +1045,139 @@ export class Schema {
     if (!found) throw new RangeError("Unknown node type: " + name)
     return found
   }
+
+  // :: (union<Object, [Object]>, number) → union<Object, [Object]>
+  // Upgrade the JSON representation of a node, or an array of nodes
+  // (as found in a fragment's JSON), from the given version to the
+  // schema's current [version](#model.SchemaSpec.version) by running
+  // the appropriate [migrations](#model.SchemaSpec.migrations).
+  // [`Node.fromJSON`](#model.Node^fromJSON) and
+  // [`Slice.fromJSON`](#model.Slice^fromJSON) do this automatically
+  // for stamped JSON, but you can call it directly for documents that
+  // were stored without a version.
+  //
+  // @cn 通过运行相应的 [迁移函数](#model.SchemaSpec.migrations)，将一个节点或者一个节点数组（如 fragment 的 JSON 中那样）的 JSON 表示从给定版本升级到 schema 当前的
+  // [版本](#model.SchemaSpec.version)。[`Node.fromJSON`](#model.Node^fromJSON) 和 [`Slice.fromJSON`](#model.Slice^fromJSON)
+  // 会对带有版本号的 JSON 自动进行此操作，不过对于那些没有带版本号保存的文档，你可以直接调用该方法。
+  migrateJSON(json, version) {
+    let current = this.spec.version
+    if (current == null) throw new RangeError("Can't migrate JSON for a schema without a version")
+    if (typeof version != "number" || version > current)
+      throw new RangeError(`Invalid document version ${version} (schema version is ${current})`)
+    let nodes = Array.isArray(json) ? json : [json], migrations = this.spec.migrations || {}
+    for (let v = version + 1; v <= current; v++)
+      if (migrations[v]) nodes = migrateNodes(nodes, migrations[v])
+    if (Array.isArray(json)) return nodes
+    if (nodes.length != 1) throw new RangeError(`Migrating to version ${current} didn't produce a single node`)
+    return nodes[0]
+  }
+
+  // :: (SchemaExtension) → Schema
+  // Create a new schema based on this one, with the given changes
+  // applied to its node and mark specs. The result is compiled like
+  // any other schema, so this will raise an error when a content
+  // expression, [`marks`](#model.NodeSpec.marks), or
+  // [`excludes`](#model.MarkSpec.excludes) property refers to a type
+  // that no longer exists.
+  //
+  // @cn 基于当前 schema 新建一个 schema，其节点和 mark 配置对象会应用给定的修改。结果会像其他 schema 一样被编译，
+  // 因此如果某个内容表达式、[`marks`](#model.NodeSpec.marks) 或者 [`excludes`](#model.MarkSpec.excludes) 属性指向了一个已经不存在的类型，则会抛出一个错误。
+  extend(extension) {
+    let spec = {}
+    for (let prop in this.spec) spec[prop] = this.spec[prop]
+    if (extension.nodes) spec.nodes = applyChanges(spec.nodes, extension.nodes, "node")
+    if (extension.marks) spec.marks = applyChanges(spec.marks, extension.marks, "mark")
+    if (extension.topNode) spec.topNode = extension.topNode
+    return new Schema(spec)
+  }
+}
+
+function migrateNodes(nodes, migrate) {
+  let result = []
+  for (let i = 0; i < nodes.length; i++) {
+    let migrated = migrate(nodes[i])
+    if (!migrated) continue
+    if (!Array.isArray(migrated)) migrated = [migrated]
+    for (let j = 0; j < migrated.length; j++) {
+      let node = migrated[j]
+      // Copy nodes that have content to migrate or a version stamp
+      // that no longer applies
+      if (Array.isArray(node.content) || node.version != null) {
+        let copy = {}
+        for (let prop in node) if (prop != "version") copy[prop] = node[prop]
+        if (Array.isArray(node.content)) copy.content = migrateNodes(node.content, migrate)
+        node = copy
+      }
+      result.push(node)
+    }
+  }
+  return result
+}
+
+function applyChanges(map, changes, kind) {
+  for (let i = 0; i < changes.length; i++) {
+    let change = changes[i], name = change.name, existing = map.get(name)
+    if (change.remove) {
+      if (existing === undefined) throw new RangeError(`Can't remove unknown ${kind} type ${name}`)
+      map = map.remove(name)
+      continue
+    }
+    let spec = change.spec || existing
+    if (!spec) throw new RangeError(`No spec given for new ${kind} type ${name}`)
+    let place = change.before || change.after
+    if (!place) {
+      map = existing === undefined ? map.addToEnd(name, spec) : map.update(name, spec)
+      continue
+    }
+    if (place == name || map.get(place) === undefined)
+      throw new RangeError(`Can't place ${kind} type ${name} relative to ${place}`)
+    map = map.remove(name)
+    if (change.after) {
+      let next = null, found = false
+      map.forEach(key => {
+        if (found && next == null) next = key
+        if (key == place) found = true
+      })
+      map = next == null ? map.addToEnd(name, spec) : map.addBefore(next, name, spec)
+    } else {
+      map = map.addBefore(place, name, spec)
+    }
+  }
+  return map
 }
 
 function gatherMarks(schema, marks) {
   let found = []
   for (let i = 0; i < marks.length; i++) {
-    let name = marks[i], mark = schema.marks[name], ok = mark
-    if (mark) {
-      found.push(mark)
-    } else {
-      for (let prop in schema.marks) {
-        let mark = schema.marks[prop]
-        if (name == "_" || (mark.spec.group && mark.spec.group.split(" ").indexOf(name) > -1))
-          found.push(ok = mark)
-      }
+    let name = marks[i], exclude = false
+    if (!name) continue
+    if (name == "-") {
+      do { name = marks[++i] } while (i < marks.length && !name)
+      if (!name) throw new SyntaxError("Expected a mark name after '-' in '" + marks.join(" ") + "'")
+      exclude = true
+    } else if (name.length > 1 && name.charAt(0) == "-" && !schema.marks[name]) {
+      name = name.slice(1)
+      exclude = true
     }
-    if (!ok) throw new SyntaxError("Unknown mark type: '" + marks[i] + "'")
+    let matched = marksNamed(schema, name)
+    if (!matched.length) throw new SyntaxError("Unknown mark type: '" + name + "'")
+    found = exclude ? without(found, matched) : found.concat(matched)
+  }
+  return found
+}
+
+function without(marks, excluded) {
+  return marks.filter(mark => excluded.indexOf(mark) == -1)
+}
+
+function marksNamed(schema, name) {
+  let mark = schema.marks[name]
+  if (mark) return [mark]
+  let found = []
+  for (let prop in schema.marks) {
+    let mark = schema.marks[prop]
+    if (name == "_" || (mark.spec.group && mark.spec.group.split(" ").indexOf(name) > -1))
+      found.push(mark)
   }
   return found
 }
@@ -0,0 +1,83 @@
+// : (Node, union<string, RegExp>, ?Object) → [{from: number, to: number, text: string, match: [string]}]
+// Search the textblocks in a node for a pattern. See
+// [`Node.findText`](#model.Node.findText).
+export function findText(node, pattern, options = {}) {
+  let re = toGlobalRegExp(pattern), result = []
+  let leafText = options.leafText === undefined ? "\ufffc" : options.leafText
+  let marks = options.marks, filter = marks && (typeof marks == "function" ? marks : set => marks.isInSet(set))
+  if (node.isTextblock) searchBlock(node, 0, re, leafText, filter, result)
+  else node.descendants((child, pos) => {
+    if (!child.isTextblock) return true
+    searchBlock(child, pos + 1, re, leafText, filter, result)
+    return false
+  })
+  return result
+}
+
+// Split the content of a textblock into runs of text (separated by
+// inline leaves when `leafText` is null), and run the regexp over
+// each of them.
+function searchBlock(block, start, re, leafText, filter, result) {
+  let segments = [], text = ""
+  block.forEach((child, offset) => {
+    let str = child.isText ? child.text : typeof leafText == "function" ? leafText(child) : leafText
+    if (str == null) {
+      searchRun(text, segments, re, filter, result)
+      segments = []
+      text = ""
+    } else if (str) {
+      segments.push({start: text.length, end: text.length + str.length, pos: start + offset, node: child})
+      text += str
+    }
+  })
+  searchRun(text, segments, re, filter, result)
+}
+
+function searchRun(text, segments, re, filter, result) {
+  if (!text) return
+  re.lastIndex = 0
+  for (let m; (m = re.exec(text));) {
+    let from = m.index, to = from + m[0].length
+    if (to == from) {
+      re.lastIndex += re.unicode && text.codePointAt(from) > 0xffff ? 2 : 1
+      continue
+    }
+    if (filter && !coveredBy(segments, from, to, filter)) continue
+    result.push({from: mapFrom(segments, from), to: mapTo(segments, to), text: m[0], match: m})
+  }
+}
+
+function toGlobalRegExp(pattern) {
+  if (typeof pattern == "string") return new RegExp(pattern.replace(/[\\^$.*+?()[\]{}|]/g, "\\$&"), "g")
+  return new RegExp(pattern.source, pattern.flags.replace(/[gy]/g, "") + "g")
+}
+
+// Find the segment that holds the character at the given string
+// offset.
+function findSegment(segments, offset) {
+  let lo = 0, hi = segments.length - 1
+  while (lo < hi) {
+    let mid = (lo + hi + 1) >> 1
+    if (segments[mid].start > offset) hi = mid - 1
+    else lo = mid
+  }
+  return segments[lo]
+}
+
+function mapFrom(segments, offset) {
+  let seg = findSegment(segments, offset)
+  return seg.node.isText ? seg.pos + offset - seg.start : seg.pos
+}
+
+function mapTo(segments, offset) {
+  let seg = findSegment(segments, offset - 1)
+  return seg.node.isText ? seg.pos + offset - seg.start : seg.pos + 1
+}
+
+function coveredBy(segments, from, to, filter) {
+  for (let i = 0; i < segments.length; i++) {
+    let seg = segments[i]
+    if (seg.end > from && seg.start < to && !filter(seg.node.marks)) return false
+  }
+  return true
+}
@@ -0,0 +1,114 @@
+// ::- The result of [`textMapBetween`](#model.Node.textMapBetween):
+// a string of text along with a mapping between offsets in that
+// string and positions in the document it was extracted from.
+//
+// The mapping is stored as a flat array of runs, each holding the
+// string offset at which it starts, the document position it starts
+// at, and the number of positions it covers. For text, that last
+// number is the length of the run. Block separators cover no
+// positions, and leaf text covers the position of its leaf node.
+//
+// @cn [`textMapBetween`](#model.Node.textMapBetween) 的返回结果：一个文本字符串，以及该字符串中的偏移量与其所提取自的文档中的位置之间的映射。
+//
+// @cn 映射被存储为一个扁平的 runs 数组，每一个 run 保存其开始处的字符串偏移量、其开始处的文档位置以及其覆盖的位置的数量。
+// 对于文本来说，最后这个数字就是 run 的长度。块级分隔符不覆盖任何位置，叶子节点的文本覆盖其叶子节点的位置。
+export class TextMap {
+  constructor(text, runs, from) {
+    // :: string
+    // The extracted text.
+    //
+    // @cn 提取出的文本。
+    this.text = text
+    // :: [number]
+    // The runs, as `[offset, pos, size]` triples.
+    //
+    // @cn runs，以 `[offset, pos, size]` 三元组的形式保存。
+    this.runs = runs
+    // : number
+    // The start of the extracted range, used when there are no runs.
+    this.from = from
+  }
+
+  // :: (number) → number
+  // Map an offset in the text (0 to `text.length`) to a document
+  // position. Offsets inside block separators or leaf text map to the
+  // position after them. An offset at the boundary between two runs
+  // maps to the end of the first run, so that a range ending at the
+  // end of a textblock stays inside that textblock, unless the first
+  // run is a block separator, in which case it maps to the start of
+  // the second.
+  //
+  // @cn 将文本中的一个偏移量（0 到 `text.length`）映射到一个文档位置。在块级分隔符或者叶子节点文本中的偏移量会被映射到它们之后的位置。
+  // 在两个 run 之间边界处的偏移量会被映射到第一个 run 的结束处，这样一个在文本块结尾处结束的范围仍然会留在该文本块中，
+  // 除非第一个 run 是一个块级分隔符，此时它会被映射到第二个 run 的开始处。
+  toPos(offset) {
+    if (offset < 0 || offset > this.text.length) throw new RangeError("Offset " + offset + " outside of text")
+    let runs = this.runs, lo = 0, hi = runs.length / 3 - 1
+    if (hi < 0) return this.from
+    while (lo < hi) {
+      let mid = (lo + hi + 1) >> 1
+      if (runs[mid * 3] > offset) hi = mid - 1
+      else lo = mid
+    }
+    let start = runs[lo * 3], pos = runs[lo * 3 + 1], size = runs[lo * 3 + 2]
+    if (offset == start) {
+      let prevSize = lo ? runs[lo * 3 - 1] : 0
+      return prevSize ? runs[lo * 3 - 2] + prevSize : pos
+    }
+    let end = lo * 3 + 3 < runs.length ? runs[lo * 3 + 3] : this.text.length
+    return size == end - start ? pos + (offset - start) : pos + size
+  }
+
+  // :: (number) → number
+  // Map a document position to an offset in the text. Positions that
+  // don't correspond to a place in the text (such as those between
+  // blocks) map to the offset of the text that follows them.
+  //
+  // @cn 将一个文档位置映射到文本中的偏移量。不对应文本中某个地方的位置（比如块级节点之间的位置）会被映射到它们之后的文本的偏移量。
+  toOffset(pos) {
+    let runs = this.runs, lo = 0, hi = runs.length / 3 - 1
+    if (hi < 0 || pos < runs[1]) return 0
+    while (lo < hi) {
+      let mid = (lo + hi + 1) >> 1
+      if (runs[mid * 3 + 1] > pos) hi = mid - 1
+      else lo = mid
+    }
+    let start = runs[lo * 3], runPos = runs[lo * 3 + 1], size = runs[lo * 3 + 2]
+    let end = lo * 3 + 3 < runs.length ? runs[lo * 3 + 3] : this.text.length
+    if (pos == runPos) return start
+    if (size == end - start && pos <= runPos + size) return start + (pos - runPos)
+    return end
+  }
+}
+
+// : (Fragment, number, number, ?string, ?string, (text: string, pos: number, size: number))
+// Walk the text between two positions, as produced by
+// [`textBetween`](#model.Fragment.textBetween), calling `f` for each
+// piece of text with the position it starts at and the number of
+// positions it covers (zero for block separators).
+export function eachTextBetween(fragment, from, to, blockSeparator, leafText, f) {
+  let separated = true
+  fragment.nodesBetween(from, to, (node, pos) => {
+    if (node.isText) {
+      let start = Math.max(from, pos) - pos, str = node.textBetween(start, to - pos)
+      if (str) f(str, pos + start, str.length)
+      separated = !blockSeparator
+    } else if (node.isLeaf && leafText) {
+      f(leafText, pos, 1)
+      separated = !blockSeparator
+    } else if (!separated && node.isBlock) {
+      f(blockSeparator, pos, 0)
+      separated = true
+    }
+  }, 0)
+}
+
+// : (Fragment, number, number, ?string, ?string) → TextMap
+export function textMapBetween(fragment, from, to, blockSeparator, leafText) {
+  let text = "", runs = []
+  eachTextBetween(fragment, from, to, blockSeparator, leafText, (str, pos, size) => {
+    runs.push(text.length, pos, size)
+    text += str
+  })
+  return new TextMap(text, runs, from)
+}
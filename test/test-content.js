@@ -1,5 +1,5 @@
-const {ContentMatch} = require("..")
-const {schema, eq, doc, p, pre, img, br, h1, hr} = require("prosemirror-test-builder")
+const {ContentMatch, Schema} = require("..")
+const {schema, eq, doc, p, pre, img, br, h1, h2, hr} = require("prosemirror-test-builder")
 const ist = require("ist")
 
 function get(expr) { return ContentMatch.parse(expr, schema.nodes) }
@@ -83,6 +83,103 @@ describe("ContentMatch", () => {
     it("rejects an open range with too few elements", () => invalid("hard_break{2,}", "hard_break"))
   })
 
+  describe("diagnoseFragment", () => {
+    function names(types) { return types.map(t => t.name).join(" ") }
+
+    it("reports success", () => {
+      let d = get("heading paragraph+").diagnoseFragment(doc(h1(), p()).content)
+      ist(d.valid)
+      ist(d.index, null)
+      ist(!d.endedEarly)
+      ist(d.match.validEnd)
+    })
+
+    it("reports the first failing child", () => {
+      let d = get("heading paragraph+").diagnoseFragment(doc(h1(), p(), hr(), p()).content)
+      ist(!d.valid)
+      ist(d.index, 2)
+      ist(names(d.expected), "paragraph")
+      ist(!d.endedEarly)
+    })
+
+    it("reports content that ends too early", () => {
+      let d = get("heading paragraph+").diagnoseFragment(doc(h1()).content)
+      ist(!d.valid)
+      ist(d.index, null)
+      ist(d.endedEarly)
+      ist(names(d.expected), "paragraph")
+    })
+
+    it("lists all accepted types", () => {
+      let d = get("(heading | paragraph) horizontal_rule").diagnoseFragment(doc(hr()).content)
+      ist(d.index, 0)
+      ist(names(d.expected), "heading paragraph")
+    })
+
+    it("respects start and end", () => {
+      let d = get("paragraph+").diagnoseFragment(doc(hr(), p(), hr()).content, 1, 2)
+      ist(d.valid)
+    })
+  })
+
+  describe("findWrappings", () => {
+    function wrappings(match, target, options) {
+      return match.findWrappings(schema.nodes[target], options).map(w => w.map(step => {
+        let attrs = step.attrs ? JSON.stringify(step.attrs) : ""
+        return step.type.name + attrs
+      }).join(">")).join(" ")
+    }
+    let docMatch = schema.nodes.doc.contentMatch
+
+    it("returns an empty wrapping when a type fits directly", () => {
+      let found = docMatch.findWrappings(schema.nodes.paragraph, {depth: 0})
+      ist(found.length, 1)
+      ist(found[0].length, 0)
+    })
+
+    it("returns all wrappings, shortest first", () =>
+       ist(wrappings(docMatch, "list_item", {depth: 2}), "ordered_list bullet_list blockquote>ordered_list blockquote>bullet_list"))
+
+    it("respects the depth limit", () => {
+      ist(wrappings(docMatch, "list_item", {depth: 1}), "ordered_list bullet_list")
+      ist(wrappings(docMatch, "text", {depth: 1}), "paragraph heading code_block")
+    })
+
+    it("doesn't repeat types in a wrapping", () =>
+       ist(wrappings(docMatch, "list_item", {depth: 3}).indexOf("blockquote>blockquote"), -1))
+
+    it("uses the given attributes", () => {
+      ist(wrappings(docMatch, "list_item", {depth: 1, attrs: {ordered_list: {order: 3}}}),
+          'ordered_list{"order":3} bullet_list')
+      ist(wrappings(docMatch, "list_item", {depth: 1, attrs: type => type.name == "bullet_list" ? {} : null}),
+          'ordered_list bullet_list{}')
+    })
+
+    it("only uses types with required attributes when attributes are given", () => {
+      let s = new Schema({nodes: {
+        doc: {content: "block+"},
+        note: {content: "para+", group: "block", attrs: {kind: {}}},
+        para: {content: "text*", group: "block"},
+        text: {}
+      }})
+      let match = s.nodes.doc.contentMatch, para = s.nodes.para
+      ist(match.findWrappings(para, {depth: 1}).length, 1)
+      ist(match.findWrappings(para, {depth: 1, attrs: {note: {kind: "info"}}})[1][0].attrs.kind, "info")
+    })
+
+    it("uses constrained attributes", () => {
+      let s = new Schema({nodes: {
+        doc: {content: "box[color=red]+"},
+        box: {content: "para+", attrs: {color: {default: "blue"}}},
+        para: {content: "text*"},
+        text: {}
+      }})
+      let match = s.nodes.doc.contentMatch, para = s.nodes.para
+      ist(match.findWrappings(para)[0][0].attrs.color, "red")
+      ist(match.findWrappings(para, {attrs: {box: {color: "green"}}}).length, 0)
+    })
+  })
+
   describe("fillBefore", () => {
     it("returns the empty fragment when things match", () =>
        fill("paragraph horizontal_rule paragraph", doc(p(), hr), doc(p()), doc()))
@@ -145,4 +242,232 @@ describe("ContentMatch", () => {
     it("refuses to complete an overflown count across two bounds", () =>
        fill3("paragraph{2}", doc(p()), doc(p()), doc(p()), null))
   })
+
+  describe("fill preferences", () => {
+    let s = new Schema({nodes: {
+      doc: {content: "block+"},
+      table: {content: "row+", group: "block", fill: [{type: "row", attrs: {header: true}}]},
+      row: {content: "cell+", attrs: {header: {default: false}}},
+      cell: {content: "text*"},
+      figure: {content: "(para | caption) image?", group: "block", fill: ["caption"]},
+      note: {content: "para | embed", group: "block", fill: [{type: "embed", attrs: {src: "x.png"}}]},
+      plain: {content: "para | embed", group: "block"},
+      caption: {content: "text*"},
+      embed: {attrs: {src: {}}},
+      image: {},
+      para: {content: "text*", group: "block"},
+      text: {}
+    }})
+    let n = s.nodes
+
+    it("uses the default filler without preferences", () =>
+       ist(n.plain.createAndFill().firstChild.type, n.para))
+
+    it("prefers the types from the spec", () =>
+       ist(n.figure.createAndFill().firstChild.type, n.caption))
+
+    it("uses the attributes from the spec", () => {
+      let table = n.table.createAndFill()
+      ist(table.childCount, 1)
+      ist(table.firstChild.attrs.header, true)
+      ist(table.firstChild.childCount, 1)
+    })
+
+    it("can generate types with required attributes", () =>
+       ist(n.note.createAndFill().firstChild.attrs.src, "x.png"))
+
+    it("can override the spec's preferences", () => {
+      ist(n.table.createAndFill(null, null, null, [{type: n.row, attrs: {header: false}}]).firstChild.attrs.header, false)
+      ist(n.plain.createAndFill(null, null, null, [{type: n.embed, attrs: {src: "y.png"}}]).firstChild.attrs.src, "y.png")
+      ist(n.figure.createAndFill(null, null, null, [n.para]).firstChild.type, n.para)
+    })
+
+    it("can pass preferences to fillBefore", () => {
+      let filled = n.figure.contentMatch.fillBefore(n.figure.create(null, [n.para.create(), n.image.create()]).content, true, 1, [n.caption])
+      ist(filled.childCount, 1)
+      ist(filled.firstChild.type, n.caption)
+    })
+
+    it("rejects unknown types", () =>
+       ist.throws(() => new Schema({nodes: {doc: {content: "text*", fill: ["foo"]}, text: {}}}), /foo/))
+  })
+  describe("interleave", () => {
+    it("accepts the parts in order", () => valid("heading & paragraph", "heading paragraph"))
+    it("accepts the parts in reverse order", () => valid("heading & paragraph", "paragraph heading"))
+    it("rejects a missing part", () => invalid("heading & paragraph", "heading"))
+    it("rejects a repeated part", () => invalid("heading & paragraph", "heading paragraph paragraph"))
+
+    it("interleaves the content of sequences", () => {
+      valid("(heading paragraph) & horizontal_rule", "heading horizontal_rule paragraph")
+      invalid("(heading paragraph) & horizontal_rule", "paragraph horizontal_rule heading")
+    })
+    it("handles repeated parts", () => {
+      valid("heading & paragraph* & horizontal_rule?", "paragraph heading paragraph")
+      valid("heading & paragraph* & horizontal_rule?", "horizontal_rule heading")
+      invalid("heading & paragraph* & horizontal_rule?", "horizontal_rule heading horizontal_rule")
+    })
+    it("binds more loosely than sequences", () => {
+      valid("heading paragraph & horizontal_rule", "horizontal_rule heading paragraph")
+      invalid("heading paragraph & horizontal_rule", "paragraph heading horizontal_rule")
+    })
+    it("binds more tightly than choice", () => {
+      valid("heading & paragraph | horizontal_rule", "horizontal_rule")
+      valid("heading & paragraph | horizontal_rule", "paragraph heading")
+      invalid("heading & paragraph | horizontal_rule", "paragraph horizontal_rule")
+    })
+
+    it("fills in missing parts", () =>
+       fill("horizontal_rule & paragraph", doc(p()), doc(), doc(hr())))
+
+    it("can be used to find wrappings", () => {
+      let s = new Schema({nodes: {
+        doc: {content: "figure+"},
+        figure: {content: "caption & image"},
+        caption: {content: "text*"},
+        image: {},
+        text: {}
+      }})
+      let wrap = s.nodes.doc.contentMatch.findWrapping(s.nodes.image)
+      ist(wrap.map(t => t.name).join(), "figure")
+      ist(s.nodes.figure.createAndFill(null, s.nodes.image.create()).childCount, 2)
+    })
+  })
+
+  describe("exclusion", () => {
+    it("matches the rest of a group", () => valid("(block - heading)+", "paragraph code_block"))
+    it("doesn't match excluded types", () => invalid("(block - heading)+", "paragraph heading"))
+    it("can exclude groups", () => ist.throws(() => get("heading - block"), /No node types left/))
+    it("can exclude several names", () => {
+      valid("block - heading - paragraph", "code_block")
+      invalid("block - heading - paragraph", "paragraph")
+    })
+    it("doesn't need spaces", () => invalid("inline-image", "image"))
+    it("combines with subscripts", () => valid("block - heading*", ""))
+    it("rejects unknown exclusions", () => ist.throws(() => get("block - foo"), /foo/))
+    it("rejects expressions that exclude everything", () =>
+       ist.throws(() => get("heading - heading"), /No node types left/))
+  })
+
+  describe("introspection", () => {
+    it("exposes the parsed expression", () => {
+      let expr = get("heading paragraph+").expr
+      ist(expr.type, "seq")
+      ist(expr.exprs[0].value.type, schema.nodes.heading)
+      ist(expr.exprs[1].type, "plus")
+    })
+
+    it("shares the expression between states", () => {
+      let m = get("heading paragraph+")
+      ist(m.matchType(schema.nodes.heading).expr, m.expr)
+    })
+
+    function norm(expr) { return get(expr).exprString }
+
+    it("normalizes expressions", () => {
+      ist(norm("( heading  paragraph+ )"), "heading paragraph+")
+      ist(norm("(heading | paragraph)*"), "(heading | paragraph)*")
+      ist(norm("(heading paragraph) | horizontal_rule"), "heading paragraph | horizontal_rule")
+      ist(norm("hard_break{2, 4} hard_break{1,} hard_break{3}"), "hard_break{2,4} hard_break{1,} hard_break{3}")
+      ist(norm("(heading & paragraph) horizontal_rule"), "(heading & paragraph) horizontal_rule")
+      ist(norm("heading[level = 2]?"), "heading[level=2]?")
+      ist(ContentMatch.empty.exprString, "")
+    })
+
+    it("expands groups", () =>
+       ist(norm("(inline - text)*"), "(image | hard_break)*"))
+
+    it("exports DOT", () => {
+      ist(get("paragraph+").toDOT(), [
+        "digraph ContentMatch {",
+        "  rankdir=LR;",
+        "  start [shape=point];",
+        "  0 [shape=circle];",
+        "  1 [shape=doublecircle];",
+        "  start -> 0;",
+        '  0 -> 1 [label="paragraph"];',
+        '  1 -> 1 [label="paragraph"];',
+        "}"
+      ].join("\n"))
+    })
+  })
+
+  describe("attribute constraints", () => {
+    let h = schema.nodes.heading
+    function matchNodes(expr, nodes) {
+      let m = get(expr)
+      for (let i = 0; m && i < nodes.length; i++) m = m.matchType(nodes[i].type, nodes[i].attrs)
+      return m && m.validEnd
+    }
+
+    it("matches nodes with the given attributes", () =>
+       ist(matchNodes("heading[level=1] paragraph*", [h1(), p()])))
+    it("rejects nodes with other attributes", () =>
+       ist(!matchNodes("heading[level=1] paragraph*", [h2(), p()])))
+    it("uses the default attributes when none are given", () => {
+      ist(get("heading[level=1]").matchType(h))
+      ist(!get("heading[level=2]").matchType(h))
+    })
+    it("allows unconstrained alternatives", () => {
+      ist(matchNodes("heading[level=1] | heading horizontal_rule", [h1()]))
+      ist(!matchNodes("heading[level=1] | heading horizontal_rule", [h2()]))
+      ist(matchNodes("heading[level=1] | heading horizontal_rule", [h1(), hr()]))
+      ist(matchNodes("heading[level=1] | heading horizontal_rule", [h2(), hr()]))
+    })
+    it("handles overlapping constraints", () => {
+      let expr = "(heading[level=1] paragraph) | (heading[level=1, level=1] horizontal_rule) | heading[level=2]"
+      ist(matchNodes(expr, [h1(), p()]))
+      ist(matchNodes(expr, [h1(), hr()]))
+      ist(matchNodes(expr, [h2()]))
+      ist(!matchNodes(expr, [h2(), p()]))
+    })
+    it("shows constraints in the string representation", () =>
+       ist(get("heading[level=2]").toString(), '0  heading[level=2]->1\n1* '))
+
+    it("validates node content", () => {
+      let s = new Schema({nodes: {
+        doc: {content: "heading[level=1] block*"},
+        heading: {content: "text*", group: "block", attrs: {level: {default: 1}}},
+        text: {}
+      }})
+      let {doc, heading} = s.nodes
+      ist(doc.validContent(doc.create(null, [heading.create(), heading.create({level: 2})]).content))
+      ist(!doc.validContent(doc.create(null, heading.create({level: 2})).content))
+    })
+
+    it("fills in nodes with the constrained attributes", () => {
+      let s = new Schema({nodes: {
+        doc: {content: "title[kind=\"main\"] para+"},
+        title: {content: "text*", attrs: {kind: {}}},
+        para: {content: "text*"},
+        text: {}
+      }})
+      let filled = s.nodes.doc.createAndFill()
+      ist(filled.firstChild.type.name, "title")
+      ist(filled.firstChild.attrs.kind, "main")
+      ist(filled.childCount, 2)
+      ist(!get("heading[level=1]").fillBefore(doc(h2()).content))
+    })
+
+    it("parses different kinds of values", () => {
+      let s = new Schema({nodes: {
+        doc: {content: "item[a=-2, b=true, c=null, d=word, e=\"two words\"]"},
+        item: {attrs: {a: {}, b: {}, c: {}, d: {}, e: {}}},
+        text: {}
+      }})
+      ist(JSON.stringify(s.nodes.doc.contentMatch.edge(0).attrs), '{"a":-2,"b":true,"c":null,"d":"word","e":"two words"}')
+    })
+
+    it("parses decimal numbers", () => {
+      ist(get("heading[level=1.5]").edge(0).attrs.level, 1.5)
+      ist(get("heading[level=-0.25]").edge(0).attrs.level, -0.25)
+    })
+
+    it("rejects invalid numbers", () =>
+       ist.throws(() => get("heading[level=1.]"), /Invalid attribute value/))
+
+    it("rejects constraints on unknown attributes", () =>
+       ist.throws(() => get("heading[size=1]"), /no attribute 'size'/))
+    it("rejects unclosed constraints", () =>
+       ist.throws(() => get("heading[level=1"), /Unclosed/))
+  })
 })
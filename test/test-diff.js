@@ -1,4 +1,4 @@
-const {doc, blockquote, h1, h2, p, em, strong} = require("prosemirror-test-builder")
+const {doc, blockquote, h1, h2, p, em, strong, a, img} = require("prosemirror-test-builder")
 const ist = require("ist")
 
 describe("Fragment", () => {
@@ -42,6 +42,19 @@ describe("Fragment", () => {
     it("notices a different attribute", () =>
        start(doc(p("a"), "<a>", h1("foo")),
              doc(p("a"), h2("foo"))))
+
+    it("doesn't compare the whole text of hashed text nodes that differ", () => {
+      let a = doc(p("x" + "o".repeat(100))), b = doc(p("y" + "o".repeat(100))), reads = 0
+      a.hash; b.hash
+      for (let text of [a.firstChild.firstChild, b.firstChild.firstChild]) {
+        let value = text.text
+        Object.defineProperty(text, "text", {get() { reads++; return value }})
+      }
+      ist(a.content.findDiffStart(b.content), 1)
+      // Only the first character of each is looked at
+      ist(reads, 2)
+      ist(a.content.findDiffEnd(b.content).a, 2)
+    })
   })
 
   describe("findDiffEnd", () => {
@@ -86,4 +99,147 @@ describe("Fragment", () => {
        end(doc("<a>", p("hello")),
            doc(p("hey"), p("hello"))))
   })
+
+  describe("findDiffRanges", () => {
+    function ranges(a, b) {
+      return a.content.findDiffRanges(b.content).map(r => r.fromA + "-" + r.toA + "/" + r.fromB + "-" + r.toB).join(" ")
+    }
+
+    it("returns nothing for equal fragments", () =>
+       ist(ranges(doc(p("a"), blockquote(p("b"))), doc(p("a"), blockquote(p("b")))), ""))
+
+    it("finds a single change", () =>
+       ist(ranges(doc(p("hello"), p("world")), doc(p("hello"), p("wxrld"))), "9-10/9-10"))
+
+    it("finds separate changes", () =>
+       ist(ranges(doc(p("one"), p("two"), p("three"), p("four")),
+                  doc(p("onx"), p("two"), p("three"), p("fxur"))), "3-4/3-4 19-20/19-20"))
+
+    it("aligns inserted nodes", () =>
+       ist(ranges(doc(p("a"), p("b"), p("c")),
+                  doc(p("x"), p("a"), p("b"), p("y"), p("c"))), "0-0/0-3 6-6/9-12"))
+
+    it("aligns deleted nodes", () =>
+       ist(ranges(doc(p("a"), p("b"), p("c"), p("d")),
+                  doc(p("a"), p("c"))), "3-6/3-3 9-12/6-6"))
+
+    it("descends into changed nodes", () =>
+       ist(ranges(doc(blockquote(p("a"), p("b"), p("c"))),
+                  doc(blockquote(p("x"), p("b"), p("y")))), "2-3/2-3 8-9/8-9"))
+
+    it("reports node type changes", () =>
+       ist(ranges(doc(p("a"), p("b"), p("c")), doc(p("a"), h1("b"), p("c"))), "3-6/3-6"))
+
+    it("notices changed marks", () =>
+       ist(ranges(doc(p("a", em("b"), "c"), p("d")), doc(p("a", strong("b"), "c"), p("d"))), "2-3/2-3"))
+
+    it("adds the given offsets", () => {
+      let [range] = doc(p("a")).content.findDiffRanges(doc(p("b")).content, 10, 20)
+      ist(range.fromA, 11)
+      ist(range.fromB, 21)
+    })
+
+    it("handles large fragments", () => {
+      let paras = []
+      for (let i = 0; i < 1000; i++) paras.push(p("p" + i))
+      let a = doc(...paras), b = a.replace(5, 6, a.slice(0, 0)).replace(a.content.size - 3, a.content.size - 2, a.slice(0, 0))
+      // The deleted character is one of "p999"'s repeated nines, which
+      // is reported at the end of the run
+      let end = a.content.size - 1
+      ist(ranges(a, b), "5-6/5-5 " + (end - 1) + "-" + end + "/" + (end - 2) + "-" + (end - 2))
+    })
+  })
+
+  describe("findDiffRanges change types", () => {
+    function changes(a, b) {
+      return a.content.findDiffRanges(b.content).map(r => r.type + "@" + r.fromA + "-" + r.toA + "/" + r.fromB + "-" + r.toB).join(" ")
+    }
+
+    it("classifies text insertions and deletions", () => {
+      ist(changes(doc(p("abc")), doc(p("abXc"))), "text@3-3/3-4")
+      ist(changes(doc(p("abXc")), doc(p("abc"))), "text@3-4/3-3")
+    })
+
+    it("classifies node insertions and deletions", () => {
+      ist(changes(doc(p("a")), doc(p("a"), p("b"))), "nodes@3-3/3-6")
+      ist(changes(doc(p("a", img()), p("b")), doc(p("a"), p("b"))), "nodes@2-3/2-2")
+    })
+
+    it("reports attribute changes", () => {
+      let [range] = doc(p("x"), h1("a")).content.findDiffRanges(doc(p("x"), h2("a")).content)
+      ist(range.type, "attrs")
+      ist(range.fromA, 3)
+      ist(range.toA, 4)
+      ist(JSON.stringify(range.attrs), JSON.stringify({level: {old: 1, new: 2}}))
+    })
+
+    it("reports attribute changes on inline leaves", () => {
+      let [range] = doc(p("x", img({src: "a.png"}))).content.findDiffRanges(doc(p("x", img({src: "b.png"}))).content)
+      ist(range.type, "attrs")
+      ist(range.fromA + "-" + range.toA, "2-3")
+      ist(range.attrs.src.new, "b.png")
+    })
+
+    it("reports attribute changes along with content changes", () =>
+       ist(changes(doc(h1("abc")), doc(h2("abd"))), "attrs@0-1/0-1 text@3-4/3-4"))
+
+    it("reports added marks", () => {
+      let [range] = doc(p("hello world")).content.findDiffRanges(doc(p("hello ", em("world"))).content)
+      ist(range.type, "marks")
+      ist(range.fromA + "-" + range.toA, "7-12")
+      ist(range.added.map(m => m.type.name).join(), "em")
+      ist(range.removed.length, 0)
+    })
+
+    it("reports removed marks", () =>
+       ist(changes(doc(p(strong("abc"))), doc(p(strong("a"), "b", strong("c")))), "marks@2-3/2-3"))
+
+    it("reports changed mark attributes as a removed and an added mark", () => {
+      let [range] = doc(p(a({href: "x"}, "link"))).content.findDiffRanges(doc(p(a({href: "y"}, "link"))).content)
+      ist(range.type, "marks")
+      ist(range.removed[0].attrs.href, "x")
+      ist(range.added[0].attrs.href, "y")
+    })
+
+    it("keeps mark changes apart from text changes", () =>
+       ist(changes(doc(p("one two")), doc(p(em("one"), " twos"))), "marks@1-4/1-4 text@8-8/8-9"))
+
+    it("reports joined nodes as a replacement", () =>
+       ist(changes(doc(p("ab")), doc(p("a"), p("b"))), "replace@2-2/2-4"))
+  })
+
+  describe("findDiffRanges in text", () => {
+    function changes(a, b, granularity) {
+      return a.content.findDiffRanges(b.content, 0, 0, granularity)
+        .map(r => r.type + "@" + r.fromA + "-" + r.toA + "/" + r.fromB + "-" + r.toB).join(" ")
+    }
+
+    let a = doc(p("The quick brown fox. It jumps over the lazy dog.")),
+        b = doc(p("The quick red fox. It jumps over the lazy cat."))
+
+    it("finds separate changes in a textblock", () =>
+       ist(changes(doc(p("one two three four")), doc(p("one twx three fxur"))), "text@7-8/7-8 text@16-17/16-17"))
+
+    it("diffs characters by default", () =>
+       ist(changes(a, b), "text@11-12/11-11 text@13-16/12-14 text@45-48/43-46"))
+
+    it("can diff words", () =>
+       ist(changes(a, b, "word"), "text@11-16/11-14 text@45-48/43-46"))
+
+    it("can diff sentences", () =>
+       ist(changes(doc(p("One two. Three four. Five six.")), doc(p("One too. Three four. Five sex.")), "sentence"),
+           "text@1-10/1-10 text@22-31/22-31"))
+
+    it("doesn't split sentences at other periods", () =>
+       ist(changes(doc(p("Pi is 3.14. Yes.")), doc(p("Pi is 3.15. Yes.")), "sentence"), "text@1-13/1-13"))
+
+    it("treats inline leaves as tokens", () =>
+       ist(changes(doc(p("one ", img(), "two")), doc(p("one two")), "word"), "nodes@5-6/5-5"))
+
+    it("reports mark changes between text changes", () =>
+       ist(changes(doc(p("one two three")), doc(p("one ", em("two"), " threes")), "word"), "marks@5-8/5-8 text@9-14/9-15"))
+
+    it("rejects unknown granularities", () =>
+       ist.throws(() => doc(p("a")).content.findDiffRanges(doc(p("b")).content, 0, 0, "line"), /granularity/))
+  })
 })
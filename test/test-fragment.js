@@ -0,0 +1,128 @@
+const {Fragment, Slice} = require("..")
+const {schema, doc, p} = require("prosemirror-test-builder")
+const ist = require("ist")
+
+function paragraphs(n) {
+  let result = []
+  for (let i = 0; i < n; i++) result.push(p("p" + i))
+  return result
+}
+
+function flat(nodes) { return new Fragment(nodes) }
+
+describe("Fragment", () => {
+  describe("with many children", () => {
+    let nodes = paragraphs(2000), big = Fragment.from(nodes)
+
+    it("provides access to its children", () => {
+      ist(big.childCount, 2000)
+      ist(big.size, flat(nodes).size)
+      ist(big.child(1234), nodes[1234])
+      ist(big.firstChild, nodes[0])
+      ist(big.lastChild, nodes[1999])
+      ist(big.maybeChild(2000), undefined)
+      ist.throws(() => big.child(2000), RangeError)
+    })
+
+    it("iterates over its children", () => {
+      let count = 0, pos = 0
+      big.forEach((node, offset, index) => {
+        ist(node, nodes[index])
+        ist(offset, pos)
+        pos += node.nodeSize
+        count++
+      })
+      ist(count, 2000)
+    })
+
+    it("finds positions", () => {
+      let reference = flat(nodes)
+      for (let pos = 0; pos <= big.size; pos += 7) {
+        for (let round = -1; round <= 1; round += 2) {
+          let {index, offset} = big.findIndex(pos, round)
+          let expected = reference.findIndex(pos, round)
+          ist(index, expected.index)
+          ist(offset, expected.offset)
+        }
+      }
+    })
+
+    it("can cut by index", () => {
+      let cut = big.cutByIndex(500, 1700)
+      ist(cut.childCount, 1200)
+      ist(cut.child(0), nodes[500])
+      ist(cut.eq(flat(nodes.slice(500, 1700))))
+      ist(big.cutByIndex(10, 12).childCount, 2)
+    })
+
+    it("can cut by position", () => {
+      let reference = flat(nodes)
+      ist(big.cut(103, 10007).eq(reference.cut(103, 10007)))
+      ist(big.cut(5000, 5002).eq(reference.cut(5000, 5002)))
+    })
+
+    it("can replace children", () => {
+      let replaced = big.replaceChild(1000, p("new"))
+      ist(replaced.child(1000).textContent, "new")
+      ist(replaced.child(999), nodes[999])
+      ist(replaced.size, big.size - 2)
+      ist(big.child(1000), nodes[1000])
+    })
+
+    it("can add children", () => {
+      let extra = p("x")
+      ist(big.addToEnd(extra).child(2000), extra)
+      ist(big.addToStart(extra).child(0), extra)
+      ist(big.addToStart(extra).child(2000), nodes[1999])
+    })
+
+    it("can be appended to", () => {
+      let joined = big.append(big)
+      ist(joined.childCount, 4000)
+      ist(joined.child(3000), nodes[1000])
+      ist(Fragment.from(p("a")).append(big).child(1), nodes[0])
+    })
+
+    it("joins text when appending", () => {
+      let texts = []
+      for (let i = 0; i < 500; i++) texts.push(schema.text("x", i % 2 ? [schema.marks.em.create()] : []))
+      let joined = Fragment.from(texts).append(Fragment.from(schema.text("y", [schema.marks.em.create()])))
+      ist(joined.childCount, 500)
+      ist(joined.lastChild.text, "xy")
+    })
+
+    it("compares to flat fragments", () => {
+      ist(big.eq(flat(nodes)))
+      ist(flat(nodes).eq(big))
+      ist(!big.eq(big.replaceChild(5, p("y"))))
+      ist(big.hash, flat(nodes).hash)
+    })
+
+    it("supports document methods", () => {
+      let d = doc(...nodes), pos = flat(nodes.slice(0, 1000)).size
+      ist(d.content.childCount, 2000)
+      ist(d.resolve(pos + 1).parent, nodes[1000])
+      ist(d.nodeAt(pos), nodes[1000])
+      ist(d.textBetween(0, 12, " "), "p0 p1 p2")
+      ist(d.content.toJSON().length, 2000)
+      ist(d.replace(3, 7, Slice.empty).childCount, 1999)
+      d.check()
+    })
+
+    it("doesn't build a child array for comparison or serialization", () => {
+      let a = Fragment.from(paragraphs(2000)), b = Fragment.from(paragraphs(2000))
+      ist(a.eq(b))
+      ist(flat(nodes).eq(a))
+      ist(a.toJSON().length, 2000)
+      ist(a.toString(), flat(paragraphs(2000)).toString())
+      ist(a.contentCache, null)
+      ist(b.contentCache, null)
+    })
+
+    it("switches back to an array for small content", () => {
+      let small = big.cutByIndex(0, 10)
+      ist(Array.isArray(small.content))
+      ist(small.eq(flat(nodes.slice(0, 10))))
+    })
+  })
+})
@@ -1,5 +1,5 @@
 const ist = require("ist")
-const {Fragment, Schema} = require("..")
+const {Fragment, Slice, Schema, Node} = require("..")
 const {schema, eq, doc, blockquote, p, li, ul, em, strong, code, a, br, hr, img} = require("prosemirror-test-builder")
 
 let customSchema = new Schema({
@@ -11,6 +11,18 @@ let customSchema = new Schema({
   },
 })
 
+let validSchema = new Schema({
+  nodes: {
+    doc: {content: "heading+"},
+    heading: {content: "text*", attrs: {level: {default: 1, validate: "number"}}},
+    text: {}
+  },
+  marks: {
+    link: {attrs: {href: {validate: "string"}, title: {default: null, validate: "string|null"}}},
+    note: {attrs: {id: {validate: value => value > 0 || "must be positive"}}}
+  }
+})
+
 describe("Node", () => {
   describe("toString", () => {
     it("nests", () => {
@@ -154,4 +166,422 @@ describe("Node", () => {
       )
     )
   })
+
+  describe("attribute validation", () => {
+    function throws(f, pattern) {
+      try { f() } catch(e) {
+        if (!(e instanceof RangeError)) throw e
+        if (pattern) ist(pattern.test(e.message))
+        return
+      }
+      throw new Error("Expected an error")
+    }
+
+    it("accepts valid attributes", () => {
+      let doc = validSchema.node("doc", null, [
+        validSchema.node("heading", {level: 2}, [validSchema.text("a", [validSchema.mark("link", {href: "x"})])])
+      ])
+      doc.check()
+      ist(doc.firstChild.attrs.level, 2)
+    })
+
+    it("rejects values of the wrong type in create", () =>
+       throws(() => validSchema.nodes.heading.create({level: "2"}), /"2" for attribute level on node type heading/))
+
+    it("rejects values of the wrong type in createChecked", () =>
+       throws(() => validSchema.nodes.heading.createChecked({level: null}), /level/))
+
+    it("rejects invalid mark attributes", () =>
+       throws(() => validSchema.mark("link", {href: null}), /null for attribute href on mark type link/))
+
+    it("accepts multiple types", () =>
+       ist(validSchema.mark("link", {href: "x", title: "y"}).attrs.title, "y"))
+
+    it("reports messages returned by validation functions", () =>
+       throws(() => validSchema.mark("note", {id: -1}), /must be positive/))
+
+    it("validates JSON input", () => {
+      throws(() => Node.fromJSON(validSchema, {type: "heading", attrs: {level: "1"}}), /level/)
+      throws(() => Node.fromJSON(validSchema, {type: "text", text: "a", marks: [{type: "link", attrs: {href: 5}}]}), /href/)
+    })
+
+    it("validates attributes in check", () => {
+      let bad = new Node(validSchema.nodes.heading, {level: "x"}, Fragment.empty, [])
+      throws(() => validSchema.node("doc", null, [bad]).check(), /level/)
+    })
+
+    it("checks for missing attributes in check", () => {
+      let text = validSchema.text("a", [validSchema.marks.link.create({href: "x"})])
+      text.marks[0].attrs = Object.create(null)
+      throws(() => text.check(), /href/)
+    })
+  })
+
+  describe("lenient fromJSON", () => {
+    let json = {type: "doc", content: [
+      {type: "callout", attrs: {color: "red"}, content: [{type: "paragraph", content: [{type: "text", text: "a"}]}]},
+      {type: "paragraph", content: [
+        {type: "text", text: "b", marks: [{type: "highlight"}, {type: "em"}]},
+        {type: "mention", attrs: {id: 1}},
+        {type: "text", text: "c", marks: [{type: "em"}]}
+      ]}
+    ]}
+
+    it("throws on unknown types by default", () =>
+       ist.throws(() => Node.fromJSON(schema, json), /callout/))
+
+    it("unwraps unknown nodes and drops unknown marks", () => {
+      let changes = []
+      ist(Node.fromJSON(schema, json, {lenient: true, changes}), doc(p("a"), p(em("bc"))), eq)
+      ist(changes.map(c => c.kind + ":" + c.type + ":" + c.action).join(" "),
+          "node:callout:unwrap mark:highlight:drop node:mention:unwrap")
+    })
+
+    it("can drop unknown nodes", () =>
+       ist(Node.fromJSON(schema, json, {lenient: true, unknownNodes: "drop"}), doc(p(em("bc"))), eq))
+
+    it("can replace unknown nodes with a fallback type", () => {
+      let changes = []
+      ist(Node.fromJSON(schema, json, {lenient: true, unknownNodes: schema.nodes.blockquote, changes}).firstChild,
+          blockquote(p("a")), eq)
+      ist(changes[0].replacement, "blockquote")
+    })
+
+    it("can decide per node", () => {
+      let result = Node.fromJSON(schema, json, {lenient: true, unknownNodes: json => json.content ? "blockquote" : "drop"})
+      ist(result, doc(blockquote(p("a")), p(em("bc"))), eq)
+    })
+
+    it("repairs content that unwrapping made invalid", () => {
+      let changes = []
+      let result = Node.fromJSON(schema, {type: "doc", content: [{type: "box", content: [{type: "text", text: "x"}]}]}, {lenient: true, changes})
+      ist(result, doc(p("x")), eq)
+      result.check()
+      ist(changes.map(c => c.kind + ":" + c.action).join(" "), "node:unwrap repair:wrap")
+    })
+
+    it("repairs invalid replacements", () => {
+      let json = {type: "doc", content: [{type: "paragraph", content: [{type: "widget", content: [{type: "text", text: "x"}]}]}]}
+      ist(Node.fromJSON(schema, json, {lenient: true, unknownNodes: "blockquote"}), doc(blockquote(p("x"))), eq)
+    })
+
+    it("is only enabled by the lenient option", () =>
+       ist.throws(() => Node.fromJSON(schema, json, {unknownNodes: "drop"}), /callout/))
+
+    it("reports content dropped by leaf replacements and marks lost by unwrapping", () => {
+      let changes = [], json = {type: "doc", content: [{type: "paragraph", content: [
+        {type: "widget", marks: [{type: "em"}], content: [{type: "text", text: "a"}]},
+        {type: "chip", content: [{type: "text", text: "b"}]}
+      ]}]}
+      let result = Node.fromJSON(schema, json, {lenient: true, changes, unknownNodes: json => json.type == "chip" ? "hard_break" : "unwrap"})
+      ist(result, doc(p("a", br())), eq)
+      ist(changes.map(c => c.kind + ":" + c.type + ":" + c.action).join(" "),
+          "node:widget:unwrap mark:em:drop node:chip:replace node:text:drop")
+    })
+
+    it("refuses to drop the top node", () =>
+       ist.throws(() => Node.fromJSON(schema, {type: "page"}, {lenient: true, unknownNodes: "drop"}), /top node/))
+  })
+
+  describe("validate", () => {
+    function problems(node) {
+      return node.validate().map(p => p.kind + "@" + p.pos).join(" ")
+    }
+
+    it("returns nothing for valid documents", () =>
+       ist(problems(doc(p("foo", em("bar")), ul(li(p("x"))))), ""))
+
+    it("finds invalid content", () => {
+      let bad = schema.nodes.blockquote.create(null, schema.text("x"))
+      let found = doc(p("ab"), bad, ul()).validate()
+      ist(found.length, 2)
+      ist(found[0].kind, "invalidContent")
+      ist(found[0].pos, 4)
+      ist(found[0].index, 0)
+      ist(found[1].pos, 7)
+      ist(found[1].index, 0)
+      ist(/ends too early/.test(found[1].message))
+    })
+
+    it("reports problems with the node itself", () =>
+       ist(problems(schema.nodes.doc.create()), "invalidContent@null"))
+
+    it("finds disallowed marks", () => {
+      let code = schema.nodes.code_block.create(null, schema.text("x", [schema.mark("em")]))
+      let found = doc(p("a"), code).validate()
+      ist(problems(doc(p("a"), code)), "disallowedMark@4")
+      ist(found[0].mark.type.name, "em")
+    })
+
+    it("finds bad mark ordering", () => {
+      let text = new Node(schema.nodes.text, null, null, [schema.mark("strong"), schema.mark("em")])
+      text.text = "x"
+      ist(problems(schema.nodes.paragraph.create(null, [schema.text("a"), text])), "badMarkOrder@1")
+    })
+
+    it("finds attribute problems", () => {
+      let h = new Node(validSchema.nodes.heading, {level: "2"}, Fragment.empty, [])
+      let text = validSchema.text("a", [validSchema.marks.link.create({href: "x"})])
+      text.marks[0].attrs = Object.create(null)
+      let found = validSchema.node("doc", null, [h, validSchema.node("heading", null, text)]).validate()
+      ist(found.map(p => p.kind + ":" + p.attr + "@" + p.pos).join(" "), "invalidAttr:level@0 missingAttr:href@3")
+      ist(found[1].mark.type.name, "link")
+    })
+
+    it("reports every problem", () => {
+      let bad = schema.nodes.blockquote.create()
+      ist(problems(doc(bad, p("x"), bad)), "invalidContent@0 invalidContent@5")
+    })
+  })
+  describe("transformDescendants", () => {
+    it("returns the node itself when nothing changes", () => {
+      let d = doc(p("foo"), blockquote(p("bar")))
+      ist(d.transformDescendants(() => undefined), d)
+      ist(d.transformDescendants(node => node, {order: "pre"}), d)
+    })
+
+    it("reuses untouched subtrees", () => {
+      let d = doc(p("foo"), blockquote(p("bar")), hr)
+      let result = d.transformDescendants(node => node.type.name == "horizontal_rule" ? schema.node("paragraph") : undefined)
+      ist(result, doc(p("foo"), blockquote(p("bar")), p()), eq)
+      ist(result.child(0), d.child(0))
+      ist(result.child(1), d.child(1))
+    })
+
+    it("can remove a mark everywhere and rejoins text", () => {
+      let d = doc(p("a", em("b"), "c"), blockquote(p(em("d"))))
+      let result = d.transformDescendants(node => node.isText ? node.mark(schema.marks.em.removeFromSet(node.marks)) : undefined)
+      ist(result, doc(p("abc"), blockquote(p("d"))), eq)
+      ist(result.firstChild.childCount, 1)
+    })
+
+    it("can delete nodes", () => {
+      let d = doc(p("a", br(), "b"))
+      let result = d.transformDescendants(node => node.type.name == "hard_break" ? null : undefined)
+      ist(result, doc(p("ab")), eq)
+      ist(result.firstChild.childCount, 1)
+    })
+
+    it("can replace nodes with multiple nodes", () => {
+      let d = doc(blockquote(p("a"), p("b")))
+      ist(d.transformDescendants(node => node.type.name == "blockquote" ? node.content : undefined), doc(p("a"), p("b")), eq)
+      ist(d.transformDescendants(node => node.type.name == "paragraph" ? [node, node] : undefined),
+          doc(blockquote(p("a"), p("a"), p("b"), p("b"))), eq)
+    })
+
+    it("visits content first by default", () => {
+      let order = []
+      doc(blockquote(p("a"))).transformDescendants(node => { order.push(node.type.name) })
+      ist(order.join(" "), "text paragraph blockquote")
+    })
+
+    it("can visit parents first", () => {
+      let order = []
+      doc(blockquote(p("a"))).transformDescendants(node => { order.push(node.type.name) }, {order: "pre"})
+      ist(order.join(" "), "blockquote paragraph text")
+    })
+
+    it("visits the content of replacements in pre-order", () => {
+      let d = doc(blockquote(p("a")))
+      let result = d.transformDescendants(node => {
+        if (node.type.name == "blockquote") return schema.node("bullet_list", null, schema.node("list_item", null, node.content))
+        if (node.isText) return schema.text(node.text.toUpperCase())
+      }, {order: "pre"})
+      ist(result, doc(ul(li(p("A")))), eq)
+    })
+
+    it("skips content when the callback returns false in pre-order", () => {
+      let seen = []
+      doc(blockquote(p("a")), p("b")).transformDescendants(node => {
+        seen.push(node.type.name)
+        if (node.type.name == "blockquote") return false
+      }, {order: "pre"})
+      ist(seen.join(" "), "blockquote paragraph text")
+    })
+
+    it("passes original positions", () => {
+      let positions = []
+      doc(p("ab"), blockquote(p("c"))).transformDescendants((node, pos) => { positions.push(pos) })
+      ist(positions.join(" "), "1 0 6 5 4")
+    })
+
+    it("passes no positions for the content of replacements in pre-order", () => {
+      let positions = []
+      doc(p("a"), p("b")).transformDescendants((node, pos) => {
+        positions.push(node.type.name + "@" + pos)
+        if (node.type.name == "paragraph" && node.textContent == "a") return [node, node, schema.node("paragraph", null, node.content)]
+      }, {order: "pre"})
+      ist(positions.join(" "), "paragraph@0 text@1 text@null text@null paragraph@3 text@4")
+    })
+
+    it("can check the result", () => {
+      let d = doc(blockquote(p("a")))
+      ist.throws(() => d.transformDescendants(node => node.type.name == "paragraph" ? schema.text("x") : undefined, {check: true}),
+                 /Invalid content/)
+    })
+  })
+  describe("textMapBetween", () => {
+    let d = doc(p("ab", em("cd")), blockquote(p("ef", img(), "g")), p("h"))
+
+    it("returns the same text as textBetween", () => {
+      for (let [from, to, sep, leaf] of [[0, d.content.size, "\n", "*"], [2, 12, " ", null], [0, d.content.size, null, null], [3, 4]])
+        ist(d.textMapBetween(from, to, sep, leaf).text, d.textBetween(from, to, sep, leaf))
+    })
+
+    it("maps offsets to positions", () => {
+      let map = d.textMapBetween(0, d.content.size, "\n", "*")
+      ist(map.text, "abcd\nef*g\nh")
+      let positions = []
+      for (let i = 0; i <= map.text.length; i++) positions.push(map.toPos(i))
+      ist(positions.join(" "), "1 2 3 4 5 8 9 10 11 12 15 16")
+    })
+
+    it("maps each character back to its text", () => {
+      let map = d.textMapBetween(0, d.content.size, "\n", "*")
+      for (let i = 0; i < map.text.length; i++) {
+        let ch = map.text.charAt(i)
+        if (/\w/.test(ch)) ist(d.textBetween(map.toPos(i), map.toPos(i + 1)), ch)
+      }
+    })
+
+    it("maps positions to offsets", () => {
+      let map = d.textMapBetween(0, d.content.size, "\n", "*")
+      let offsets = []
+      for (let pos = 0; pos <= d.content.size; pos++) offsets.push(map.toOffset(pos))
+      ist(offsets.join(" "), "0 0 1 2 3 4 4 5 5 6 7 8 9 9 9 10 11 11")
+    })
+
+    it("handles partial ranges", () => {
+      let map = d.textMapBetween(2, 4)
+      ist(map.text, "bc")
+      ist(map.toPos(0), 2)
+      ist(map.toPos(2), 4)
+      ist(map.toOffset(3), 1)
+    })
+
+    it("handles empty ranges", () => {
+      let map = d.textMapBetween(5, 5)
+      ist(map.text, "")
+      ist(map.toPos(0), 5)
+      ist(map.toOffset(5), 0)
+    })
+
+    it("rejects offsets outside the text", () =>
+       ist.throws(() => d.textMapBetween(0, 4).toPos(5), RangeError))
+
+    it("maps the end of a textblock to a position inside it", () => {
+      let map = doc(p("hello"), p("world")).textMapBetween(0, 14, "\n")
+      ist(map.toPos(0), 1)
+      ist(map.toPos(5), 6)
+      ist(map.toPos(6), 8)
+    })
+
+    it("works on fragments", () => {
+      let map = d.content.textMapBetween(0, d.content.size, " ")
+      ist(map.toPos(4), 5)
+      ist(map.toPos(5), 8)
+    })
+  })
+
+  describe("hash", () => {
+    let d = doc(blockquote(p("foo ", em("bar")), p(a("link"))), hr())
+
+    it("is the same for equal nodes", () => {
+      let copy = Node.fromJSON(schema, d.toJSON())
+      ist(copy != d)
+      ist(copy.hash, d.hash)
+      ist(copy.content.hash, d.content.hash)
+    })
+
+    it("doesn't depend on attribute order", () => {
+      let m1 = schema.mark("link", {href: "x", title: "y"}), m2 = schema.mark("link", {title: "y", href: "x"})
+      ist(m1.hash, m2.hash)
+    })
+
+    it("differs for different text", () =>
+       ist(doc(p("foo")).hash, doc(p("fop")).hash, "!="))
+
+    it("differs for different attributes", () => {
+      ist(schema.node("heading", {level: 1}).hash, schema.node("heading", {level: 2}).hash, "!=")
+      ist(schema.mark("link", {href: "a"}).hash, schema.mark("link", {href: "b"}).hash, "!=")
+    })
+
+    it("differs for different marks", () => {
+      ist(p(em("x")).hash, p(strong("x")).hash, "!=")
+      ist(p(em("x")).hash, p("x").hash, "!=")
+    })
+
+    it("differs for different structure", () => {
+      ist(doc(p("a"), p("b")).hash, doc(p("ab")).hash, "!=")
+      ist(doc(blockquote(p("a"))).hash, doc(p("a")).hash, "!=")
+    })
+
+    it("is an unsigned 32-bit integer", () => {
+      ist(d.hash >= 0 && d.hash < 2 ** 32 && d.hash % 1 == 0)
+    })
+
+    it("is memoized", () => {
+      let node = doc(p("x"))
+      ist(node.hashCache, null)
+      let hash = node.hash
+      ist(node.hashCache, hash)
+      ist(node.firstChild.hashCache, node.firstChild.hash)
+    })
+
+    it("doesn't affect eq", () => {
+      let a = doc(p("foo")), b = doc(p("foo")), c = doc(p("bar"))
+      a.hash; b.hash; c.hash
+      ist(a.eq(b))
+      ist(!a.eq(c))
+      ist(!c.content.eq(a.content))
+      ist(doc(p("foo")).eq(a))
+    })
+  })
+
+  describe("rope-backed text", () => {
+    let ropeSchema = new Schema({
+      nodes: {
+        doc: {content: "code_block+"},
+        code_block: {content: "text*", code: true},
+        text: {rope: true}
+      }
+    })
+    let long = "abcdefghij".repeat(500)
+    function block(text) { return ropeSchema.node("code_block", null, ropeSchema.text(text)) }
+
+    it("behaves like a regular text node", () => {
+      let node = ropeSchema.text(long)
+      ist(node.text, long)
+      ist(node.nodeSize, 5000)
+      ist(node.textContent, long)
+      ist(node.textBetween(995, 1005), "fghijabcde")
+      ist(JSON.stringify(node.toJSON()), JSON.stringify({type: "text", text: long}))
+    })
+
+    it("can be cut", () => {
+      let node = ropeSchema.text(long)
+      ist(node.cut(1, 4000).text, long.slice(1, 4000))
+      ist(node.cut(10, 20).text, "abcdefghij")
+    })
+
+    it("joins adjacent text", () => {
+      let d = ropeSchema.node("doc", null, block(long))
+      let inserted = d.replace(2501, 2501, new Slice(Fragment.from(ropeSchema.text("xyz")), 0, 0)).firstChild
+      ist(inserted.childCount, 1)
+      ist(inserted.textContent, long.slice(0, 2500) + "xyz" + long.slice(2500))
+      ist(d.replace(2, 5000, Slice.empty).textContent, "aj")
+    })
+
+    it("compares equal to plain text", () => {
+      let joined = ropeSchema.text(long.slice(0, 3000)).appendText(ropeSchema.text(long.slice(3000)))
+      ist(joined.eq(ropeSchema.text(long)))
+      ist(joined.hash, schema.text(long).hash)
+      ist(!joined.eq(ropeSchema.text(long.slice(1) + "x")))
+    })
+
+    it("is only used when enabled", () => {
+      ist(schema.text(long).rope, undefined)
+      ist(ropeSchema.text("short").rope, undefined)
+    })
+  })
 })
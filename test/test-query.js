@@ -0,0 +1,110 @@
+const {Schema} = require("..")
+const {doc, blockquote, p, h1, h2, ul, li, em, a, img} = require("prosemirror-test-builder")
+const ist = require("ist")
+
+function found(node, selector) {
+  return node.query(selector).map(({node, pos}) => (node.isText ? JSON.stringify(node.text) : node.type.name) + "@" + pos).join(" ")
+}
+
+const tableSchema = new Schema({
+  nodes: {
+    doc: {content: "block+"},
+    paragraph: {content: "text*", group: "block"},
+    table: {content: "table_row+", group: "block"},
+    table_row: {content: "table_cell+"},
+    table_cell: {content: "block+", attrs: {colspan: {default: 1}, align: {default: null}}},
+    text: {}
+  }
+})
+
+function table(...rows) { return tableSchema.node("table", null, rows) }
+function row(...cells) { return tableSchema.node("table_row", null, cells) }
+function cell(attrs, text) {
+  return tableSchema.node("table_cell", attrs, tableSchema.node("paragraph", null, text ? tableSchema.text(text) : null))
+}
+
+describe("Node.query", () => {
+  let d = doc(h1("One"), p("a ", em("b"), " ", a("link")), blockquote(h2("Two"), p("c")))
+
+  it("finds nodes by type", () =>
+     ist(found(d, "heading"), "heading@0 heading@16"))
+
+  it("finds nodes by group", () =>
+     ist(found(d, "block").split(" ").length, 5))
+
+  it("matches any node with an asterisk", () =>
+     ist(d.query("*").length, 12))
+
+  it("tests attributes", () => {
+    ist(found(d, "heading[level=2]"), "heading@16")
+    ist(found(d, "heading[level>1]"), "heading@16")
+    ist(found(d, "heading[level!=2]"), "heading@0")
+    ist(found(d, "heading[level]"), "heading@0 heading@16")
+  })
+
+  it("tests marks", () => {
+    ist(found(d, "text:mark(em)"), '"b"@8')
+    ist(found(d, ":mark(link)"), '"link"@10')
+  })
+
+  it("supports child combinators", () => {
+    ist(found(d, "blockquote > paragraph"), "paragraph@21")
+    ist(found(d, "doc > paragraph > text:mark(em)"), '"b"@8')
+  })
+
+  it("supports descendant combinators", () =>
+     ist(found(d, "blockquote text"), '"Two"@17 "c"@22'))
+
+  it("can match only direct children", () =>
+     ist(found(d, "> paragraph"), "paragraph@5"))
+
+  it("supports alternatives", () =>
+     ist(found(d, "blockquote, text:mark(em)"), '"b"@8 blockquote@15'))
+
+  it("finds nested matches", () => {
+    let nested = doc(ul(li(p("x"), ul(li(p("y"))))))
+    ist(found(nested, "bullet_list list_item"), "list_item@1 list_item@6")
+    ist(found(nested, "list_item > bullet_list > list_item"), "list_item@6")
+  })
+
+  it("handles tables", () => {
+    let t = tableSchema.node("doc", null, table(row(cell(null, "a"), cell({colspan: 2}, "b")), row(cell({colspan: 3}))))
+    ist(found(t, "table > table_row > table_cell[colspan>1]"), "table_cell@7 table_cell@14")
+  })
+
+  it("can query fragments", () => {
+    let frag = d.content
+    ist(frag.query("heading").map(m => m.pos).join(" "), "0 16")
+    ist(frag.query("> heading").map(m => m.pos).join(" "), "0")
+  })
+
+  it("returns nothing for empty fragments", () =>
+     ist(doc().content.query("paragraph").length, 0))
+
+  it("tests strings", () => {
+    let withImg = doc(p(img({src: "http://x.png"})))
+    ist(found(withImg, "image[src^=\"http:\"]"), "image@1")
+    ist(found(withImg, "image[src$=\".png\"]"), "image@1")
+    ist(found(withImg, "image[src*=x]"), "image@1")
+    ist(found(withImg, "image[src*=y]"), "")
+  })
+
+  it("rejects unknown names", () => {
+    ist.throws(() => d.query("foo"), /foo/)
+    ist.throws(() => d.query("text:mark(foo)"), /foo/)
+    ist.throws(() => d.query("heading[size=1]"), /size/)
+    ist.throws(() => d.query("heading:first"), /first/)
+  })
+
+  it("keeps a bounded number of parsed selectors", () => {
+    for (let i = 0; i < 100; i++) ist(found(d, "heading[level=" + i + "]"), i == 1 ? "heading@0" : i == 2 ? "heading@16" : "")
+    ist(d.type.schema.cached.selectors.entries.length <= 16)
+    ist(found(d, "heading[level=2]"), "heading@16")
+  })
+
+  it("rejects malformed selectors", () => {
+    ist.throws(() => d.query("heading >"), SyntaxError)
+    ist.throws(() => d.query("heading[level"), SyntaxError)
+    ist.throws(() => d.query("heading[level^=1]"), /needs a string/)
+  })
+})
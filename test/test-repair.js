@@ -0,0 +1,89 @@
+const {Schema} = require("..")
+const {schema, eq, doc, blockquote, p, li, ul, ol, em, strong, img, hr, pre} = require("prosemirror-test-builder")
+const ist = require("ist")
+
+let n = schema.nodes
+
+function repair(node, expected, kinds) {
+  let changes = [], result = node.repair(changes)
+  ist(result, expected, eq)
+  result.check()
+  if (kinds != null) ist(changes.map(c => c.kind).join(" "), kinds)
+  return changes
+}
+
+describe("Node", () => {
+  describe("repair", () => {
+    it("returns valid nodes unchanged", () => {
+      let d = doc(p("foo", em("bar")), ul(li(p("x"))))
+      ist(d.repair(), d)
+    })
+
+    it("preserves untouched subtrees", () => {
+      let good = blockquote(p("a")), d = n.doc.create(null, [good, n.blockquote.create()])
+      let result = d.repair()
+      ist(result.firstChild, good)
+    })
+
+    it("wraps inline content at the block level", () =>
+       repair(n.doc.create(null, [schema.text("a"), schema.text("b", [schema.mark("em")]), img(), p("c")]),
+              doc(p("a", em("b"), img), p("c")), "wrap"))
+
+    it("wraps orphaned list items", () =>
+       repair(doc(li(p("a")), li(p("b"))), doc(ol(li(p("a")), li(p("b")))), "wrap"))
+
+    it("fills required content", () =>
+       repair(n.doc.create(null, [n.blockquote.create(), n.bullet_list.create()]),
+              doc(blockquote(p()), ul(li(p()))), "fill fill"))
+
+    it("fills content before a misplaced child", () =>
+       repair(doc(ul(n.list_item.create(null, ul(li(p("x")))))), doc(ul(li(p(), ul(li(p("x")))))), "fill"))
+
+    it("splits textblocks around block children", () => {
+      let changes = repair(doc(n.paragraph.create(null, [schema.text("a"), hr(), schema.text("b")])),
+                           doc(p("a"), hr, p("b")), "split")
+      ist(changes[0].pos, 2)
+    })
+
+    it("splits nested textblocks out of their parent", () =>
+       repair(n.doc.create(null, n.paragraph.create(null, [schema.text("a"), n.paragraph.create(null, schema.text("b"))])),
+              doc(p("a"), p("b")), "split"))
+
+    it("unwraps content at the root", () =>
+       repair(n.paragraph.create(null, [schema.text("a"), n.blockquote.create(null, p("b"))]), p("ab"), "unwrap unwrap"))
+
+    it("drops leaves that don't fit", () =>
+       repair(n.code_block.create(null, [schema.text("a"), img(), schema.text("b")]), pre("ab"), "drop"))
+
+    it("drops disallowed marks", () => {
+      let changes = repair(doc(n.code_block.create(null, schema.text("a", [schema.mark("em")]))), doc(pre("a")), "marks")
+      ist(changes[0].pos, 1)
+      ist(changes[0].parent.type, n.code_block)
+    })
+
+    it("normalizes mark sets", () => {
+      let text = schema.text("x", [schema.mark("strong")])
+      text = text.mark([schema.mark("strong"), schema.mark("em")])
+      repair(p(text), p(em(strong("x"))), "marks")
+    })
+
+    it("reports original positions", () => {
+      let changes = []
+      doc(p("abc"), n.blockquote.create(), n.paragraph.create(null, [schema.text("x"), hr()])).repair(changes)
+      ist(changes.map(c => c.kind + "@" + c.pos).join(" "), "fill@6 split@9")
+    })
+
+    it("doesn't loop on wrappers that constrain attributes", () => {
+      let s = new Schema({nodes: {
+        doc: {content: "figure+"},
+        figure: {content: "image[alt=x]"},
+        image: {attrs: {alt: {default: "x"}}},
+        text: {}
+      }})
+      let good = s.node("figure", null, s.node("image"))
+      let changes = [], result = s.nodes.doc.create(null, [s.node("image", {alt: "y"}), good]).repair(changes)
+      ist(result, s.node("doc", null, [good]), eq)
+      ist(changes.map(c => c.kind).join(" "), "drop")
+    })
+  })
+})
@@ -1,4 +1,5 @@
-const {doc, p, em, blockquote} = require("prosemirror-test-builder")
+const {Schema, IndexPath} = require("..")
+const {doc, p, em, blockquote, ul, li} = require("prosemirror-test-builder")
 const ist = require("ist")
 
 const testDoc = doc(p("ab"), blockquote(p(em("cd"), "ef")))
@@ -62,4 +63,92 @@ describe("Node", () => {
       ist(pThree.posAtIndex(1, 0), 26)
     })
   })
+  describe("insertableTypes", () => {
+    function describeOptions(options) {
+      return options.map(o => {
+        let str = o.wrapping.map(t => t.name + ">").join("") + o.type.name
+        if (o.before.size) str = "(" + o.before.content.map(n => n.type.name).join(" ") + ")" + str
+        if (o.after.size) str += "(" + o.after.content.map(n => n.type.name).join(" ") + ")"
+        return str
+      }).join(" ")
+    }
+
+    it("lists types that fit directly", () => {
+      let opts = doc(p("ab")).resolve(0).insertableTypes()
+      ist(opts.filter(o => !o.wrapping.length).map(o => o.type.name).join(" "),
+          "paragraph blockquote horizontal_rule heading code_block ordered_list bullet_list")
+    })
+
+    it("lists types that need wrapping", () => {
+      let opts = doc(p("ab")).resolve(0).insertableTypes()
+      ist(describeOptions(opts.filter(o => o.wrapping.length)), "paragraph>text paragraph>image paragraph>hard_break ordered_list>list_item")
+    })
+
+    it("only lists types that fit inside textblocks", () => {
+      ist(describeOptions(doc(p("ab")).resolve(2).insertableTypes()), "text image hard_break")
+    })
+
+    it("lists types that fit in list items", () => {
+      ist(describeOptions(doc(ul(li(p("a")))).resolve(1).insertableTypes()),
+          "list_item list_item>paragraph list_item>paragraph>text list_item>paragraph>image list_item>paragraph>hard_break")
+    })
+
+    it("includes filler", () => {
+      let s = new Schema({nodes: {
+        doc: {content: "title para+"},
+        title: {content: "text*"},
+        para: {content: "text*"},
+        text: {}
+      }})
+      let d = s.node("doc", null, [s.node("title"), s.node("para")])
+      ist(describeOptions(d.resolve(0).insertableTypes()), "")
+      ist(describeOptions(d.resolve(2).insertableTypes()), "para para>text")
+      ist(describeOptions(s.nodes.doc.create().resolve(0).insertableTypes()), "title(para) (title)para title>text(para)")
+    })
+  })
+  describe("indexPath", () => {
+    it("round-trips all positions", () => {
+      for (let pos = 0; pos <= testDoc.content.size; pos++) {
+        let path = testDoc.resolve(pos).indexPath()
+        ist(path.toPos(testDoc), pos)
+        ist(IndexPath.fromJSON(JSON.parse(JSON.stringify(path))).resolve(testDoc).pos, pos)
+      }
+    })
+
+    it("describes positions by index", () => {
+      ist(IndexPath.fromPos(testDoc, 0).toString(), "0")
+      ist(IndexPath.fromPos(testDoc, 2).toString(), "0/0:1")
+      ist(IndexPath.fromPos(testDoc, 7).toString(), "1/0/0:1")
+      ist(IndexPath.fromPos(testDoc, 8).toString(), "1/0/1")
+      ist(IndexPath.fromPos(testDoc, 12).toString(), "2")
+    })
+
+    it("survives changes to preceding content", () => {
+      let path = IndexPath.fromPos(testDoc, 7)
+      let changed = doc(p("abcdef"), blockquote(p(em("cd"), "ef")))
+      ist(path.toPos(changed), 11)
+      ist(changed.textBetween(path.toPos(changed), 12), "d")
+    })
+
+    it("raises an error when the path no longer exists", () => {
+      let path = IndexPath.fromPos(testDoc, 9)
+      ist.throws(() => path.resolve(doc(p("ab"))), /does not exist/)
+      ist.throws(() => path.resolve(doc(p("ab"), blockquote(p("c")))), /does not exist/)
+      ist.throws(() => new IndexPath([3]).toPos(testDoc), /does not exist/)
+      ist.throws(() => new IndexPath([0, 3]).toPos(testDoc), /does not exist/)
+    })
+
+    it("compares paths", () => {
+      ist(IndexPath.fromPos(testDoc, 7).eq(new IndexPath([1, 0, 0], 1)))
+      ist(!IndexPath.fromPos(testDoc, 7).eq(new IndexPath([1, 0, 1])))
+    })
+
+    it("rejects invalid JSON", () => {
+      ist.throws(() => IndexPath.fromJSON({indices: []}), /Invalid input/)
+      ist.throws(() => IndexPath.fromJSON({indices: [1.5]}), /Invalid input/)
+      ist.throws(() => IndexPath.fromJSON(null), /Invalid input/)
+      ist.throws(() => IndexPath.fromJSON({indices: [0], textOffset: 1.5}), /Invalid input/)
+      ist.throws(() => IndexPath.fromJSON({indices: [0], textOffset: "1"}), /Invalid input/)
+    })
+  })
 })
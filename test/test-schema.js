@@ -0,0 +1,216 @@
+const {Schema, Node, Slice} = require("..")
+const {schema, eq} = require("prosemirror-test-builder")
+const ist = require("ist")
+
+function names(map) {
+  let result = []
+  map.forEach(name => result.push(name))
+  return result.join(" ")
+}
+
+describe("Schema", () => {
+  describe("extend", () => {
+    it("adds node types at the end", () => {
+      let ext = schema.extend({nodes: [{name: "aside", spec: {content: "block+", group: "block"}}]})
+      ist(names(ext.spec.nodes).split(" ").pop(), "aside")
+      ist(ext.nodes.aside.contentMatch.matchType(ext.nodes.paragraph))
+      ist(ext.nodes.doc.contentMatch.matchType(ext.nodes.aside))
+    })
+
+    it("doesn't modify the original schema", () => {
+      schema.extend({nodes: [{name: "aside", spec: {content: "block+", group: "block"}}]})
+      ist(!schema.nodes.aside)
+      ist(!schema.spec.nodes.get("aside"))
+    })
+
+    it("replaces node types in place", () => {
+      let ext = schema.extend({nodes: [{name: "paragraph", spec: {content: "text*", group: "block"}}]})
+      ist(names(ext.spec.nodes), names(schema.spec.nodes))
+      ist(!ext.nodes.paragraph.contentMatch.matchType(ext.nodes.image))
+    })
+
+    it("removes node types", () => {
+      let ext = schema.extend({nodes: [{name: "horizontal_rule", remove: true}]})
+      ist(!ext.nodes.horizontal_rule)
+    })
+
+    it("can insert relative to an existing type", () => {
+      let ext = schema.extend({nodes: [{name: "aside", spec: {content: "block+", group: "block"}, before: "paragraph"}]})
+      ist(names(ext.spec.nodes).indexOf("aside paragraph") > -1)
+      ist(ext.nodes.doc.contentMatch.defaultType, ext.nodes.aside)
+      let ext2 = schema.extend({nodes: [{name: "aside", spec: {content: "block+", group: "block"}, after: "paragraph"}]})
+      ist(names(ext2.spec.nodes).indexOf("paragraph aside") > -1)
+    })
+
+    it("can reorder types", () => {
+      let ext = schema.extend({nodes: [{name: "heading", before: "paragraph"}]})
+      ist(names(ext.spec.nodes).indexOf("heading paragraph") > -1)
+      ist(ext.nodes.heading.spec, schema.nodes.heading.spec)
+    })
+
+    it("changes marks", () => {
+      let ext = schema.extend({marks: [{name: "code", remove: true}, {name: "underline", spec: {}, after: "em"}]})
+      ist(!ext.marks.code)
+      ist(names(ext.spec.marks), "link em underline strong")
+      ist(ext.marks.underline.rank, 2)
+    })
+
+    it("can change the top node", () => {
+      let ext = schema.extend({nodes: [{name: "page", spec: {content: "block+"}}], topNode: "page"})
+      ist(ext.topNodeType, ext.nodes.page)
+    })
+
+    it("rejects content expressions that no longer resolve", () => {
+      ist.throws(() => schema.extend({nodes: [{name: "list_item", remove: true}]}), /list_item/)
+    })
+
+    it("rejects mark references that no longer resolve", () => {
+      let base = new Schema({
+        nodes: {doc: {content: "para+"}, para: {content: "text*", marks: "em"}, text: {}},
+        marks: {em: {}, strong: {excludes: "em"}}
+      })
+      ist.throws(() => base.extend({marks: [{name: "em", remove: true}]}), /em/)
+    })
+
+    it("rejects changes referring to unknown types", () => {
+      ist.throws(() => schema.extend({nodes: [{name: "foo", remove: true}]}), /foo/)
+      ist.throws(() => schema.extend({nodes: [{name: "foo", before: "paragraph"}]}), /foo/)
+      ist.throws(() => schema.extend({nodes: [{name: "heading", after: "foo"}]}), /foo/)
+    })
+  })
+
+  describe("migrations", () => {
+    let versioned = new Schema({
+      nodes: {
+        doc: {content: "block+"},
+        para: {content: "text*", group: "block", attrs: {align: {default: "left"}}},
+        quote: {content: "para+", group: "block"},
+        text: {}
+      },
+      marks: {strong: {}},
+      version: 3,
+      migrations: {
+        // Version 2 renamed paragraph to para
+        2: node => node.type == "paragraph" ? Object.assign({}, node, {type: "para"}) : node,
+        // Version 3 dropped the center attribute and unwrapped sections
+        3: node => {
+          if (node.type == "section") return node.content || null
+          if (node.type == "para" && node.attrs && "center" in node.attrs)
+            return Object.assign({}, node, {attrs: {align: node.attrs.center ? "center" : "left"}})
+          if (node.type == "text" && node.marks)
+            return Object.assign({}, node, {marks: node.marks.filter(m => m.type != "em")})
+          return node
+        }
+      }
+    })
+    let v = versioned.nodes
+
+    it("stamps the version on top-level nodes", () => {
+      let doc = v.doc.create(null, v.para.create(null, versioned.text("hi")))
+      ist(doc.toJSON().version, 3)
+      ist(doc.firstChild.toJSON().version, undefined)
+      ist(doc.content.toJSON()[0].version, undefined)
+    })
+
+    it("stamps the version on slices", () => {
+      let doc = v.doc.create(null, v.para.create(null, versioned.text("hi")))
+      ist(doc.slice(1, 3).toJSON().version, 3)
+    })
+
+    it("doesn't stamp unversioned schemas", () => {
+      ist(schema.node("doc", null, schema.node("paragraph")).toJSON().version, undefined)
+    })
+
+    it("migrates old documents", () => {
+      let doc = Node.fromJSON(versioned, {type: "doc", version: 1, content: [
+        {type: "paragraph", attrs: {center: true}, content: [{type: "text", text: "a", marks: [{type: "em"}, {type: "strong"}]}]},
+        {type: "section", content: [{type: "quote", content: [{type: "paragraph"}]}, {type: "paragraph", attrs: {center: false}}]}
+      ]})
+      ist(doc, v.doc.create(null, [
+        v.para.create({align: "center"}, versioned.text("a", [versioned.mark("strong")])),
+        v.quote.create(null, v.para.create()),
+        v.para.create()
+      ]), eq)
+    })
+
+    it("only runs the necessary migrations", () => {
+      let doc = Node.fromJSON(versioned, {type: "doc", version: 2, content: [{type: "para", attrs: {center: true}}]})
+      ist(doc.firstChild.attrs.align, "center")
+      ist.throws(() => Node.fromJSON(versioned, {type: "doc", version: 2, content: [{type: "paragraph"}]}), /paragraph/)
+    })
+
+    it("round-trips current documents", () => {
+      let doc = v.doc.create(null, [v.para.create({align: "center"}, versioned.text("x")), v.quote.create(null, v.para.create())])
+      ist(Node.fromJSON(versioned, doc.toJSON()), doc, eq)
+    })
+
+    it("migrates slices", () => {
+      let slice = Slice.fromJSON(versioned, {version: 1, openStart: 1, openEnd: 1, content: [
+        {type: "paragraph", content: [{type: "text", text: "a"}]}, {type: "paragraph", content: [{type: "text", text: "b"}]}
+      ]})
+      ist(slice.content, versioned.nodes.doc.create(null, [
+        v.para.create(null, versioned.text("a")), v.para.create(null, versioned.text("b"))
+      ]).content, eq)
+      ist(slice.openStart, 1)
+    })
+
+    it("can migrate unstamped JSON", () => {
+      let json = versioned.migrateJSON({type: "doc", content: [{type: "paragraph"}]}, 1)
+      ist(json.content[0].type, "para")
+    })
+
+    it("ignores version stamps in schemas without a version", () => {
+      let json = {type: "doc", version: 2, content: [{type: "paragraph", content: [{type: "text", text: "a"}]}]}
+      ist(Node.fromJSON(schema, json), schema.node("doc", null, schema.node("paragraph", null, schema.text("a"))), eq)
+      ist(Slice.fromJSON(schema, {version: 2, content: json.content}).content.childCount, 1)
+    })
+
+    it("refuses documents from newer versions", () => {
+      ist.throws(() => Node.fromJSON(versioned, {type: "doc", version: 4, content: [{type: "para"}]}), /version/)
+    })
+
+    it("refuses migrations that don't produce a single top node", () => {
+      ist.throws(() => Node.fromJSON(versioned, {type: "section", version: 2}), /single node/)
+    })
+  })
+  describe("mark sets", () => {
+    function markSchema(marks) {
+      return new Schema({
+        nodes: {doc: {content: "para+"}, para: {content: "text*", marks}, text: {}},
+        marks: {link: {group: "special"}, em: {group: "basic"}, strong: {group: "basic"}, code: {group: "special"}}
+      })
+    }
+
+    it("can exclude marks", () => {
+      let s = markSchema("_ -link")
+      ist(s.nodes.para.markSet.map(m => m.name).join(), "em,strong,code")
+    })
+
+    it("can exclude groups with a separate minus", () => {
+      let s = markSchema("_ - special")
+      ist(s.nodes.para.markSet.map(m => m.name).join(), "em,strong")
+    })
+
+    it("only excludes from marks listed before", () => {
+      let s = markSchema("basic -strong strong")
+      ist(s.nodes.para.markSet.map(m => m.name).join(), "em,strong")
+    })
+
+    it("rejects unknown exclusions", () => {
+      ist.throws(() => markSchema("_ -foo"), /foo/)
+    })
+
+    it("rejects a minus without a name", () => {
+      ist.throws(() => markSchema("_ -"), /Expected a mark name/)
+      ist.throws(() => markSchema("_ - "), /Expected a mark name/)
+    })
+
+    it("supports exclusions in excludes", () => {
+      let s = new Schema({
+        nodes: {doc: {content: "text*"}, text: {}},
+        marks: {em: {}, strong: {}, comment: {excludes: ""}, code: {excludes: "_ -comment"}}
+      })
+      ist(s.marks.code.excluded.map(m => m.name).join(), "em,strong,code")
+    })
+  })
+})
@@ -0,0 +1,79 @@
+const {schema, doc, blockquote, p, em, strong, img, br, h1} = require("prosemirror-test-builder")
+const ist = require("ist")
+
+function found(node, pattern, options) {
+  return node.findText(pattern, options).map(m => m.from + "-" + m.to).join(" ")
+}
+
+describe("Node.findText", () => {
+  it("finds strings", () =>
+     ist(found(doc(p("one two one")), "one"), "1-4 9-12"))
+
+  it("escapes special characters in strings", () => {
+    ist(found(doc(p("a.b axb")), "a.b"), "1-4")
+    ist(found(doc(p("(x)")), "(x)"), "1-4")
+  })
+
+  it("finds matches across text nodes", () => {
+    let d = doc(p("fo", em("ob", strong("a")), "r"))
+    ist(found(d, "foobar"), "1-7")
+    ist(d.textBetween(1, 7), "foobar")
+  })
+
+  it("searches every textblock", () =>
+     ist(found(doc(h1("ab"), blockquote(p("xab"))), /ab/), "1-3 7-9"))
+
+  it("doesn't match across textblocks", () =>
+     ist(found(doc(p("ab"), p("cd")), "bc"), ""))
+
+  it("returns match groups", () => {
+    let [m] = doc(p("key=value")).findText(/(\w+)=(\w+)/)
+    ist(m.text, "key=value")
+    ist(m.match[2], "value")
+  })
+
+  it("keeps regexp flags", () =>
+     ist(found(doc(p("Foo foo")), /foo/i), "1-4 5-8"))
+
+  it("keeps the dotAll and unicode flags", () => {
+    ist(found(doc(p("foo\nbar")), /foo.bar/s), "1-8")
+    ist(found(doc(p("abc")), /\u{61}bc/u), "1-4")
+  })
+
+  it("ignores the sticky flag", () =>
+     ist(found(doc(p("xab ab")), /ab/y), "2-4 5-7"))
+
+  it("skips empty matches", () =>
+     ist(found(doc(p("ab")), /x*/), ""))
+
+  it("represents leaves with a placeholder by default", () => {
+    let d = doc(p("a", img(), "b"))
+    ist(found(d, "a\ufffcb"), "1-4")
+    ist(found(d, "ab"), "")
+  })
+
+  it("can leave out inline leaves", () =>
+     ist(found(doc(p("a", br(), "b")), "ab", {leafText: ""}), "1-4"))
+
+  it("can compute text for leaves", () =>
+     ist(found(doc(p("a", br(), "b")), "a\nb", {leafText: node => node.type.name == "hard_break" ? "\n" : ""}), "1-4"))
+
+  it("can split text at leaves", () => {
+    let d = doc(p("ab", br(), "ab"))
+    ist(found(d, "ab", {leafText: null}), "1-3 4-6")
+    ist(found(d, "bb", {leafText: null}), "")
+  })
+
+  it("can filter by mark type", () => {
+    let d = doc(p("xx ", em("xx"), " x", em("x")))
+    ist(found(d, "xx", {marks: schema.marks.em}), "4-6")
+  })
+
+  it("can filter by predicate", () => {
+    let d = doc(p("xx ", em("xx")))
+    ist(found(d, "xx", {marks: marks => !schema.marks.em.isInSet(marks)}), "1-3")
+  })
+
+  it("searches the node itself when it is a textblock", () =>
+     ist(found(p("abc"), "bc"), "1-3"))
+})